@@ -3,9 +3,219 @@
   //
   // -------- Shared helper: audio start with fresh callback --------
   //
-  async function startAudio(callback) {
+  let activeAudioCallback = null;
+  let activeAudioOptions = {};
+
+  async function startAudio(callback, options = {}) {
     window.AudioEngine.stop();
-    await window.AudioEngine.start(callback);
+    activeAudioCallback = callback;
+    activeAudioOptions = options;
+    applyCalibration();
+    await window.AudioEngine.start(callback, { ...savedInput(), onLevels: handleLevels, ...options });
+    refreshDeviceList(); // labels are only visible after permission
+  }
+
+  // Device changes need a fresh stream; keep whichever trainer is running
+  async function restartAudio() {
+    if (!window.AudioEngine.isRunning() || !activeAudioCallback) return;
+    await startAudio(activeAudioCallback, activeAudioOptions);
+  }
+
+  //
+  // -------- Shared helper: one panel owns the mic at a time --------
+  //
+  // Each panel registers how to reset its Start/Stop buttons; starting
+  // one panel resets all the others.
+  const panelResets = {};
+
+  function registerPanel(name, resetUI) {
+    panelResets[name] = resetUI;
+  }
+
+  function claimAudio(name) {
+    for (const key in panelResets) {
+      if (key !== name) panelResets[key]();
+    }
+  }
+
+  // "110.0 Hz · YIN 97%" — confidence helps compare detectors
+  function describeFreq(freq, info) {
+    const hz = `${freq.toFixed(1)} Hz`;
+    if (!info || info.confidence == null) return hz;
+    return `${hz} · ${info.detector} ${Math.round(info.confidence * 100)}%`;
+  }
+
+  // One deck per instrument + tuning: the same cell is another note elsewhere
+  function currentDeckId() {
+    const tuning = window.Fretboard.getTuning().strings;
+    return window.Fretboard.getInstrument().id + "/" +
+      window.Fretboard.strings().map((s) => tuning[s]).join("-");
+  }
+
+  //
+  // -------- Shared helper: practice history --------
+  //
+  const statsView = window.StatsView.create(document.getElementById("statsView"));
+
+  const statsSaveText = document.getElementById("statsSaveText");
+  // Redraws after single attempts wait this long, so a burst of notes
+  // costs one redraw
+  const STATS_RENDER_DELAY_MS = 1000;
+  let statsRenderTimer = null;
+
+  function renderStats() {
+    clearTimeout(statsRenderTimer);
+    statsRenderTimer = null;
+    statsView.render(currentDeckId());
+  }
+
+  function scheduleStatsRender() {
+    if (!statsRenderTimer) statsRenderTimer = setTimeout(renderStats, STATS_RENDER_DELAY_MS);
+  }
+
+  window.PracticeStore.onSaveProblem(({ saved, dropped }) => {
+    if (!statsSaveText) return;
+    statsSaveText.textContent = saved
+      ? `⚠ Browser storage is full: the oldest ${dropped} attempts were removed to keep saving. Export a backup to keep them.`
+      : "⚠ Practice history could not be saved: browser storage is full or disabled. Export a backup, then clear the history.";
+  });
+
+  function startHistorySession(mode) {
+    return window.PracticeStore.startSession(mode, {
+      instrument: window.Fretboard.getInstrument().id,
+      tuning: window.Fretboard.getTuning().id,
+      capo: window.Fretboard.getCapo()
+    });
+  }
+
+  function endHistorySession(sessionId, details) {
+    if (sessionId) window.PracticeStore.endSession(sessionId, details);
+    renderStats();
+  }
+
+  //
+  // -------- Shared helper: timed drills --------
+  //
+  const DRILL_TICK_MS = 100;
+
+  // Each panel has a drill select, a target count and a per-target limit (s)
+  function createDrill(modeEl, countEl, limitEl) {
+    return new window.Drills.DrillSession({
+      mode: modeEl ? modeEl.value : window.Drills.DrillMode.FREE,
+      targetCount: countEl ? parseInt(countEl.value, 10) || 0 : 0,
+      targetLimitMs: limitEl ? (parseFloat(limitEl.value) || 0) * 1000 : 0
+    });
+  }
+
+  function formatSeconds(ms) {
+    return ms == null ? "–" : `${(ms / 1000).toFixed(2)} s`;
+  }
+
+  // "⏱ 42 s left • 3 s for this one • Median 1.32 s • Best 0.87 s"
+  function describeDrill(drill, now) {
+    const parts = [];
+    const left = drill.remainingMs(now);
+    if (left != null) parts.push(`⏱ ${Math.ceil(left / 1000)} s left`);
+    if (drill.mode === window.Drills.DrillMode.COUNT) {
+      parts.push(`Target ${Math.min(drill.targetsDone + 1, drill.targetCount)}/${drill.targetCount}`);
+    }
+    const targetLeft = drill.targetRemainingMs(now);
+    if (targetLeft != null) parts.push(`${Math.ceil(targetLeft / 1000)} s for this one`);
+
+    const sum = drill.summary(now);
+    parts.push(`Median ${formatSeconds(sum.medianMs)}`, `Best ${formatSeconds(sum.bestMs)}`);
+    return parts.join(" • ");
+  }
+
+  function describeDrillResult(sum) {
+    return `⏱ Drill over: ${sum.completed} correct, ${sum.misses} wrong, ${sum.timeouts} timed out ` +
+      `in ${(sum.elapsedMs / 1000).toFixed(1)} s.\nMedian ${formatSeconds(sum.medianMs)} • Best ${formatSeconds(sum.bestMs)}`;
+  }
+
+  //
+  // -------- Shared helper: metronome + in-tempo prompting --------
+  //
+  // One click track for every panel, on the AudioEngine's context so note
+  // onsets and clicks share a clock. Trainers in tempo mode get a new
+  // target every N beats and score hits early/late against the clicks.
+  const METRONOME_SETTING = "metronome";
+  const ON_TIME_MS = 60;
+
+  const metronome = new window.Metronome.Metronome(
+    () => window.AudioEngine.getContext(),
+    window.Settings.get(METRONOME_SETTING, {})
+  );
+
+  // Signed ms from the nearest click (negative = early), corrected for the
+  // latency the browser reports plus the user's manual offset; null when
+  // there is nothing to compare against
+  function timingOf(onsetTime) {
+    if (!metronome.isRunning() || onsetTime == null) return null;
+    const latency = window.AudioEngine.getLatency();
+    const offset = (Number(window.Settings.get(METRONOME_SETTING, {}).latencyMs) || 0) / 1000;
+    const playedAt = onsetTime - latency.input - offset;
+    const tick = metronome.nearestTick(playedAt - latency.output);
+    return tick ? tick.offsetMs : null;
+  }
+
+  function describeTiming(ms) {
+    const rounded = Math.round(Math.abs(ms));
+    if (Math.abs(ms) <= ON_TIME_MS) return `🎯 on the beat (${ms < 0 ? "-" : "+"}${rounded} ms)`;
+    return ms < 0 ? `⏪ ${rounded} ms early` : `⏩ ${rounded} ms late`;
+  }
+
+  function newTimingTally() {
+    return { hits: 0, onTime: 0, totalAbsMs: 0 };
+  }
+
+  function addTiming(tally, ms) {
+    tally.hits += 1;
+    tally.totalAbsMs += Math.abs(ms);
+    if (Math.abs(ms) <= ON_TIME_MS) tally.onTime += 1;
+  }
+
+  function describeTally(tally) {
+    if (!tally.hits) return "";
+    return ` • On the beat: ${tally.onTime}/${tally.hits} (avg ${Math.round(tally.totalAbsMs / tally.hits)} ms off)`;
+  }
+
+  // Calls onSlot(tick) on every Nth beat (N from everyEl, 0 = off), starting
+  // the metronome if needed. Returns a detach function, or null when off.
+  function attachTempo(everyEl, onSlot) {
+    const every = everyEl ? parseInt(everyEl.value, 10) || 0 : 0;
+    if (!every) return null;
+
+    const startedHere = !metronome.isRunning();
+    if (startedHere) startMetronome();
+    let beats = 0;
+    const unsubscribe = metronome.onTick((tick) => {
+      if (tick.sub !== 0) return;
+      if (beats++ % every === 0) onSlot(tick);
+    });
+
+    return () => {
+      unsubscribe();
+      if (startedHere) stopMetronome();
+    };
+  }
+
+  // Reference tones from the plucked-string synth. While one rings (plus a
+  // short tail for room echo) detected notes are dropped, so the trainers
+  // never score the app's own sound.
+  const SYNTH_TAIL_S = 0.2;
+  const synth = new window.Synth.PluckSynth(() => window.AudioEngine.getContext());
+
+  function playReference(midis, options) {
+    const endsAt = synth.play(midis, options);
+    window.AudioEngine.suppressInputUntil(endsAt + SYNTH_TAIL_S);
+    return endsAt;
+  }
+
+  // Checkbox remembered under a Settings key
+  function bindCheckboxSetting(el, key, fallback = false) {
+    if (!el) return;
+    el.checked = !!window.Settings.get(key, fallback);
+    el.addEventListener("change", () => window.Settings.set(key, el.checked));
   }
 
   //
@@ -17,6 +227,18 @@
   const statusText = document.getElementById("statusText");
   const statsText = document.getElementById("statsText");
   const logDiv = document.getElementById("log");
+  const strictModeEl = document.getElementById("strictMode");
+  const revealTargetEl = document.getElementById("revealTarget");
+  const targetModeEl = document.getElementById("targetMode");
+  const srsText = document.getElementById("srsText");
+  const drillModeEl = document.getElementById("drillMode");
+  const drillCountEl = document.getElementById("drillCount");
+  const drillLimitEl = document.getElementById("drillLimit");
+  const drillText = document.getElementById("drillText");
+  const tempoEveryEl = document.getElementById("tempoEvery");
+  const hintBtn = document.getElementById("hintBtn");
+  const playOnMissEl = document.getElementById("playOnMiss");
+  const noteDiagram = window.FretboardDiagram.create(document.getElementById("fretboardDiagram"));
 
   let target = null;
   let lastEvent = null;
@@ -24,10 +246,19 @@
   let correctCount = 0;
   let mistakeCount = 0;
   let waitingForNextTarget = false;
+  let targetShownAt = 0;
+  let targetScored = false; // first answer per target feeds the scheduler
+  let scheduler = null;
+  let historySession = null;
+  let drill = null;
+  let drillTimer = null;
+  let detachTempo = null;
+  let targetDone = false; // answered (or already counted as a miss)
+  let timing = newTimingTally();
 
   function updateStats() {
     if (!statsText) return;
-    statsText.textContent = `Correct: ${correctCount} • Mistakes: ${mistakeCount}`;
+    statsText.textContent = `Correct: ${correctCount} • Mistakes: ${mistakeCount}` + describeTally(timing);
   }
 
   function log(message, level = "info") {
@@ -53,20 +284,72 @@
     if (!target) {
       stringSpan.textContent = "-";
       noteSpan.textContent = "-";
+      noteDiagram.clear();
       return;
     }
 
     stringSpan.textContent = "STRING " + target.string;
-    noteSpan.textContent = target.pitchClass;
+    noteSpan.textContent = isStrict() ? target.fullName : target.pitchClass;
+  }
+
+  function isStrict() {
+    return !!(strictModeEl && strictModeEl.checked);
+  }
+
+  function isSpacedRepetition() {
+    return !!(targetModeEl && targetModeEl.value === "srs");
+  }
+
+  function currentScheduler() {
+    const deckId = currentDeckId();
+    if (!scheduler || scheduler.deckId !== deckId) {
+      scheduler = new window.SpacedRepetition.LeitnerScheduler(deckId);
+    }
+    return scheduler;
+  }
+
+  function updateSrsText() {
+    if (!srsText) return;
+    if (!isSpacedRepetition()) {
+      srsText.textContent = "";
+      return;
+    }
+    const sum = currentScheduler().summary(window.Fretboard.positions());
+    srsText.textContent = `Due: ${sum.due} • New: ${sum.unseen} • Learned: ${sum.learned}/${sum.total}`;
+  }
+
+  function pickTarget() {
+    if (!isSpacedRepetition()) return window.Fretboard.randomTarget();
+    const pos = currentScheduler().next(window.Fretboard.positions());
+    return window.Fretboard.targetAt(pos.string, pos.fret);
+  }
+
+  // credit: false when the answer says nothing about the prompted cell
+  function scoreTarget(correct, { credit = true } = {}) {
+    if (targetScored || !target) return;
+    targetScored = true;
+    if (!isSpacedRepetition() || !credit) return;
+    currentScheduler().record(target.string, target.fret, {
+      correct,
+      responseMs: performance.now() - targetShownAt
+    });
+    updateSrsText();
   }
 
   function setNewRandomTarget(manual) {
-    target = window.Fretboard.randomTarget();
+    target = pickTarget();
+    targetShownAt = performance.now();
+    targetScored = false;
+    targetDone = false;
     waitingForNextTarget = false;
+    if (drill) drill.prompt(targetShownAt);
     updateTargetDisplay();
+    noteDiagram.setHeard(null);
+    noteDiagram.setTarget([target]);
 
     const prefix = manual ? "Manual new target" : "New target";
-    log(`${prefix}: STRING ${target.string} – ${target.pitchClass}`, "info");
+    const note = isStrict() ? target.fullName : target.pitchClass;
+    log(`${prefix}: STRING ${target.string} – ${note}`, "info");
     setStatus("Listening…");
   }
 
@@ -75,10 +358,7 @@
       log("Requesting microphone access…", "info");
       setStatus("Requesting mic permission…");
 
-      // Stop triad UI
-      if (triadStartBtn) triadStartBtn.disabled = false;
-      if (triadStopBtn) triadStopBtn.disabled = true;
-
+      claimAudio("single");
       await startAudio(onPitchDetected);
 
       setStatus("Listening…");
@@ -88,8 +368,19 @@
 
       correctCount = 0;
       mistakeCount = 0;
+      timing = newTimingTally();
       updateStats();
-      if (!target) setNewRandomTarget(false);
+      historySession = startHistorySession(window.PracticeStore.AttemptMode.NOTE);
+      startDrill();
+
+      detachTempo = attachTempo(tempoEveryEl, onTempoSlot);
+      if (detachTempo) {
+        target = null;
+        updateTargetDisplay();
+        setStatus("Count-in… first target on the next beat.");
+      } else {
+        setNewRandomTarget(false);
+      }
     } catch (err) {
       console.error(err);
       log("Error accessing microphone: " + err.message, "bad");
@@ -99,13 +390,130 @@
 
   function handleStop() {
     window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
     setStatus("Mic stopped.");
     log("Stopped listening.", "info");
     if (startBtn) startBtn.disabled = false;
     if (stopBtn) stopBtn.disabled = true;
+    endHistorySession(historySession, stopDrill());
+    historySession = null;
+    stopTempo();
+  }
+
+  function stopTempo() {
+    if (detachTempo) detachTempo();
+    detachTempo = null;
+  }
+
+  // Tempo mode: every N beats the next target replaces the current one;
+  // a target nobody played in its slot is a miss
+  function onTempoSlot() {
+    if (!(startBtn && startBtn.disabled)) return;
+    if (target && !targetDone) {
+      mistakeCount++;
+      updateStats();
+      scoreTarget(false);
+      recordNoteAttempt(false, null, null);
+      if (drill) drill.answer(false, performance.now());
+    }
+    setNewRandomTarget(false);
+  }
+
+  function playTarget() {
+    if (target) playReference(target.midi);
+  }
+
+  function playAnswerAfterMiss() {
+    if (playOnMissEl && playOnMissEl.checked) playTarget();
+  }
+
+  // Hearing the answer first means the target isn't known yet
+  function handleHint() {
+    if (!target) {
+      log("No target yet.\nClick ‘Start’ first.", "warn");
+      return;
+    }
+    scoreTarget(false);
+    playTarget();
+    setStatus("🔊 Playing the target…");
+  }
+
+  // freq/heardMidi are null when the target's time (or beat) ran out;
+  // extra: additional fields such as timingMs
+  function recordNoteAttempt(correct, freq, heardMidi, extra = {}) {
+    const attempt = {
+      mode: window.PracticeStore.AttemptMode.NOTE,
+      sessionId: historySession,
+      deck: currentDeckId(),
+      strict: isStrict(),
+      target: { string: target.string, fret: target.fret, midi: target.midi, name: target.fullName },
+      heard: heardMidi != null ? { midi: heardMidi, name: window.Fretboard.midiToNoteName(heardMidi) } : null,
+      hz: freq != null ? Math.round(freq * 10) / 10 : null,
+      correct,
+      latencyMs: Math.round(performance.now() - targetShownAt),
+      ...extra
+    };
+    if (freq == null) attempt.timedOut = true;
+    window.PracticeStore.recordAttempt(attempt);
+    scheduleStatsRender();
+  }
+
+  function updateDrillText() {
+    if (!drillText) return;
+    drillText.textContent = drill ? describeDrill(drill, performance.now()) : "";
+  }
+
+  function startDrill() {
+    stopDrill();
+    drill = createDrill(drillModeEl, drillCountEl, drillLimitEl);
+    drill.start(performance.now());
+    drillTimer = setInterval(tickDrill, DRILL_TICK_MS);
+  }
+
+  // Returns the drill result for the history session (if one was running)
+  function stopDrill() {
+    if (drillTimer) clearInterval(drillTimer);
+    drillTimer = null;
+    const result = drill ? { drill: drill.summary(performance.now()) } : undefined;
+    drill = null;
+    return result;
+  }
+
+  function tickDrill() {
+    if (!drill || !target) return;
+    const tick = drill.tick(performance.now());
+
+    if (tick.expired) {
+      mistakeCount++;
+      updateStats();
+      scoreTarget(false);
+      recordNoteAttempt(false, null, null);
+      const note = isStrict() ? target.fullName : target.pitchClass;
+      log(`⏱ Time's up — the target was STRING ${target.string} – ${note} (fret ${target.fret}).`, "bad");
+      playAnswerAfterMiss();
+      waitingForNextTarget = true;
+      targetDone = true;
+      // In tempo mode the next beat slot brings the next target
+      if (!tick.finished && !detachTempo) {
+        setTimeout(() => {
+          if (startBtn && startBtn.disabled && drill) setNewRandomTarget(false);
+        }, 500);
+      }
+    }
+
+    if (tick.finished) finishDrill();
+    else updateDrillText();
+  }
+
+  function finishDrill() {
+    const sum = drill.summary(performance.now());
+    handleStop();
+    if (drillText) drillText.textContent = "";
+    log(describeDrillResult(sum), "good");
+    setStatus("Drill finished. Click ‘Start’ for another round.");
   }
 
-  function onPitchDetected(freq) {
+  function onPitchDetected(freq, info) {
     if (!target || waitingForNextTarget) return;
 
     const midi = window.Fretboard.freqToMidi(freq);
@@ -115,43 +523,325 @@
     const heardName = window.Fretboard.midiToNoteName(roundedMidi);
     const heardPitchClass = window.Fretboard.pitchClassName(roundedMidi);
 
-    const label = heardPitchClass;
+    const strict = isStrict();
+    const label = strict ? heardName : heardPitchClass;
     const now = performance.now() / 1000;
 
     if (lastEvent && lastEvent.label === label && now - lastEvent.time < EVENT_DEBOUNCE_SECONDS) return;
     lastEvent = { label, time: now };
 
-    const msg = `Heard: ${heardName} (${freq.toFixed(1)} Hz)`;
-    const correctNote = heardPitchClass === target.pitchClass;
+    const msg = `Heard: ${heardName} (${describeFreq(freq, info)})`;
+    noteDiagram.setHeard(window.Fretboard.nearestFretFromFreq(freq, target));
+
+    const correctNote = strict
+      ? roundedMidi === target.midi
+      : heardPitchClass === target.pitchClass;
+
+    // In tempo mode, correct hits are scored on timing too
+    const timingMs = detachTempo && correctNote ? timingOf(info && info.onsetTime) : null;
+    if (timingMs != null) addTiming(timing, timingMs);
+
+    // The right pitch class in another octave was played at another
+    // position, so the prompted string/fret isn't credited
+    scoreTarget(correctNote, { credit: !correctNote || roundedMidi === target.midi });
+    recordNoteAttempt(correctNote, freq, roundedMidi, timingMs != null ? { timingMs: Math.round(timingMs) } : {});
+    const drillAnswer = drill ? drill.answer(correctNote, performance.now()) : null;
 
     if (correctNote) {
       correctCount++;
+      targetDone = true;
       updateStats();
-      log(msg + " → ✅ Correct note!", "good");
-      setStatus("Nice! New note soon…");
+      const reaction = drillAnswer && drillAnswer.reactionMs != null ? ` (${formatSeconds(drillAnswer.reactionMs)})` : "";
+      const beat = timingMs != null ? "\n" + describeTiming(timingMs) : "";
+      log(msg + " → ✅ Correct note!" + reaction + beat, "good");
+      if (drillAnswer && drillAnswer.finished) {
+        finishDrill();
+        return;
+      }
+      updateDrillText();
       waitingForNextTarget = true;
 
+      // Tempo mode: the next beat slot brings the next target
+      if (detachTempo) {
+        setStatus("Nice! Next note on the beat…");
+        return;
+      }
+      setStatus("Nice! New note soon…");
       setTimeout(() => {
         if (startBtn && startBtn.disabled) setNewRandomTarget(false);
       }, 500);
     } else {
       mistakeCount++;
       updateStats();
-      log(msg + " → ❌ Different note.", "bad");
+      log(msg + " → " + describeMiss(heardName, heardPitchClass, freq), "bad");
       setStatus("Try again…");
+      playAnswerAfterMiss();
       waitingForNextTarget = true;
 
       setTimeout(() => { waitingForNextTarget = false; }, 500);
     }
   }
 
+  // Explain a wrong answer: octave mistakes in strict mode, plus the
+  // positions that could have produced the heard pitch.
+  function describeMiss(heardName, heardPitchClass, freq) {
+    let text = "❌ Different note.";
+    if (heardPitchClass === target.pitchClass) {
+      text = `❌ Wrong octave: you played ${heardName}, target is ${target.fullName}.`;
+    }
+
+    const pos = window.Fretboard.nearestFretFromFreq(freq, target);
+    if (pos && pos.candidates.length) {
+      const where = pos.candidates
+        .map((c) => `string ${c.string} fret ${c.fret}`)
+        .join(", or ");
+      text += `\nProbably played: ${where}.`;
+    }
+    return text;
+  }
+
   if (startBtn) startBtn.addEventListener("click", handleStart);
   if (stopBtn) stopBtn.addEventListener("click", handleStop);
+  if (hintBtn) hintBtn.addEventListener("click", handleHint);
+  bindCheckboxSetting(playOnMissEl, "playOnMiss");
+  registerPanel("single", () => {
+    if (startBtn) startBtn.disabled = false;
+    if (stopBtn) stopBtn.disabled = true;
+    endHistorySession(historySession, stopDrill());
+    historySession = null;
+    stopTempo();
+    if (drillText) drillText.textContent = "";
+  });
+  if (strictModeEl) strictModeEl.addEventListener("change", updateTargetDisplay);
+  if (revealTargetEl) {
+    revealTargetEl.addEventListener("change", () => noteDiagram.setReveal(revealTargetEl.checked));
+  }
+  if (targetModeEl) {
+    targetModeEl.value = window.Settings.get("targetMode", "random");
+    targetModeEl.addEventListener("change", () => {
+      window.Settings.set("targetMode", targetModeEl.value);
+      updateSrsText();
+      if (startBtn && startBtn.disabled) setNewRandomTarget(true);
+    });
+  }
+  updateSrsText();
 
   updateTargetDisplay();
   updateStats();
   log("Ready.\nClick ‘Start’ to begin.", "info");
 
+  //
+  // ---------- INTERVAL TRAINER ----------
+  //
+  const intervalStartBtn = document.getElementById("intervalStartBtn");
+  const intervalStopBtn = document.getElementById("intervalStopBtn");
+  const intervalHintBtn = document.getElementById("intervalHintBtn");
+  const intervalEls = Array.from(document.querySelectorAll("[data-interval]"));
+  const intervalDirectionEl = document.getElementById("intervalDirection");
+  const intervalCompoundEl = document.getElementById("intervalCompound");
+  const intervalStrictEl = document.getElementById("intervalStrict");
+  const intervalTargetText = document.getElementById("intervalTargetText");
+  const intervalStatusText = document.getElementById("intervalStatusText");
+  const intervalStatsText = document.getElementById("intervalStatsText");
+  const intervalLightsEl = document.getElementById("intervalLights");
+  const intervalLogDiv = document.getElementById("intervalLog");
+  const intervalDiagram = window.FretboardDiagram.create(document.getElementById("intervalDiagram"));
+
+  const INTERVAL_EVENT_DEBOUNCE_SECONDS = 0.4;
+  const INTERVAL_NEXT_DELAY_MS = 1200;
+  let intervalLastEvent = null;
+  let intervalSession = null;
+  let intervalRootPos = null; // where the root was played
+  let intervalCorrectCount = 0;
+  let intervalMistakeCount = 0;
+  let intervalAwaitingNext = false;
+
+  function intervalLog(message, level = "info") {
+    if (!intervalLogDiv) return;
+    intervalLogDiv.className = "log";
+    if (level === "good") intervalLogDiv.classList.add("log-good");
+    if (level === "warn") intervalLogDiv.classList.add("log-warn");
+    if (level === "bad") intervalLogDiv.classList.add("log-bad");
+    intervalLogDiv.textContent = message;
+  }
+
+  function setIntervalStatus(msg) {
+    if (!intervalStatusText) return;
+    intervalStatusText.innerHTML = `Status: ${msg}`;
+  }
+
+  function updateIntervalStats() {
+    if (!intervalStatsText) return;
+    intervalStatsText.textContent = `Correct: ${intervalCorrectCount} • Mistakes: ${intervalMistakeCount}`;
+  }
+
+  function renderIntervalLights(matched) {
+    if (!intervalLightsEl) return;
+    window.Triads.TriadsProgress.render(intervalLightsEl, matched, 2);
+  }
+
+  function intervalDirections() {
+    const { UP, DOWN } = window.Intervals.IntervalDirection;
+    const value = intervalDirectionEl ? intervalDirectionEl.value : UP;
+    return value === "both" ? [UP, DOWN] : [value];
+  }
+
+  function isIntervalStrict() {
+    return !!(intervalStrictEl && intervalStrictEl.checked);
+  }
+
+  function newInterval() {
+    const trainer = new window.Intervals.IntervalTrainer({
+      allowedIntervals: intervalEls.filter((el) => el.checked).map((el) => Number(el.dataset.interval)),
+      directions: intervalDirections(),
+      compound: !!(intervalCompoundEl && intervalCompoundEl.checked)
+    });
+    const question = trainer.nextQuestion();
+    intervalSession = new window.Intervals.IntervalSession(question, { strictOctave: isIntervalStrict() });
+    intervalLastEvent = null;
+    intervalRootPos = null;
+    intervalAwaitingNext = false;
+
+    const labelSpan = intervalTargetText && intervalTargetText.querySelector(".triad-label");
+    if (labelSpan) labelSpan.textContent = `Play ${question.label()}`;
+    intervalDiagram.clear();
+    renderIntervalLights(0);
+    setIntervalStatus(`Listening… play the root ${question.rootName}`);
+  }
+
+  // Root in the lower middle of the range, then the interval from it
+  function handleIntervalHint() {
+    if (!intervalSession) {
+      intervalLog("No interval yet.\nClick ‘Start’ first.", "warn");
+      return;
+    }
+    const question = intervalSession.question;
+    const midis = window.Fretboard.positions().map((p) => p.midi);
+    const low = Math.min(...midis) + Math.max(0, -question.offset);
+    let root = low;
+    while (((root % 12) + 12) % 12 !== window.Triads.parseNote(question.root).semitone) root++;
+    intervalSession.restart();
+    renderIntervalLights(0);
+    playReference([root, root + question.offset], { mode: window.Synth.PlayMode.ARPEGGIO, gap: 0.6 });
+    setIntervalStatus(`🔊 ${question.rootName} → ${question.targetName}. Now you: play the root ${question.rootName}`);
+  }
+
+  async function handleIntervalStart() {
+    try {
+      intervalLog("Requesting microphone access…", "info");
+      setIntervalStatus("Requesting mic permission…");
+
+      claimAudio("interval");
+      await startAudio(onIntervalPitchDetected);
+
+      intervalLog("Mic access granted.\nPlay the root, then the interval note.", "info");
+      if (intervalStartBtn) intervalStartBtn.disabled = true;
+      if (intervalStopBtn) intervalStopBtn.disabled = false;
+
+      intervalCorrectCount = 0;
+      intervalMistakeCount = 0;
+      updateIntervalStats();
+      newInterval();
+    } catch (err) {
+      console.error(err);
+      intervalLog("Error accessing microphone: " + err.message, "bad");
+      setIntervalStatus("Mic error. Check permissions and default input device.");
+    }
+  }
+
+  function handleIntervalStop() {
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    setIntervalStatus("Mic stopped.");
+    intervalLog("Stopped listening.", "info");
+    if (intervalStartBtn) intervalStartBtn.disabled = false;
+    if (intervalStopBtn) intervalStopBtn.disabled = true;
+  }
+
+  function onIntervalPitchDetected(freq, info) {
+    if (!intervalSession || intervalAwaitingNext) return;
+
+    const midi = window.Fretboard.freqToMidi(freq);
+    if (midi == null) return;
+    const roundedMidi = Math.round(midi);
+
+    const now = performance.now() / 1000;
+    if (intervalLastEvent && intervalLastEvent.label === roundedMidi && now - intervalLastEvent.time < INTERVAL_EVENT_DEBOUNCE_SECONDS) return;
+    intervalLastEvent = { label: roundedMidi, time: now };
+
+    const question = intervalSession.question;
+    const res = intervalSession.acceptNote(roundedMidi);
+    const heardPos = window.Fretboard.nearestFretFromFreq(freq, intervalRootPos);
+    const msg = `Heard: ${window.Fretboard.midiToNoteName(roundedMidi)} (${describeFreq(freq, info)})`;
+    renderIntervalLights(res.matchedCount);
+
+    if (res.done) {
+      intervalCorrectCount++;
+      updateIntervalStats();
+      intervalLog(`${msg} → ✅ ${question.rootName} → ${question.targetName}`, "good");
+      setIntervalStatus("Nice! Next interval coming…");
+      // Show the shape that was just played
+      intervalDiagram.setTarget([intervalRootPos, heardPos].filter(Boolean));
+      intervalDiagram.setHeard(null);
+      intervalAwaitingNext = true;
+      setTimeout(() => {
+        if (intervalStartBtn && intervalStartBtn.disabled) newInterval();
+      }, INTERVAL_NEXT_DELAY_MS);
+      return;
+    }
+
+    if (res.correct) {
+      intervalRootPos = heardPos;
+      intervalDiagram.setHeard(heardPos);
+      intervalLog(`${msg} → ✅ Root.`, "good");
+      setIntervalStatus(`Listening… now ${question.label()}: ${question.targetName}`);
+      return;
+    }
+
+    intervalMistakeCount++;
+    updateIntervalStats();
+    intervalRootPos = null;
+    intervalDiagram.setHeard(heardPos);
+    if (!res.played) {
+      intervalLog(`${msg} → ❌ Not the root.`, "bad");
+    } else if (res.octaveOff) {
+      intervalLog(`${msg} → ❌ Right note, wrong octave (that was ${window.Intervals.withArticle(res.played)}).`, "bad");
+    } else {
+      intervalLog(`${msg} → ❌ That was ${window.Intervals.withArticle(res.played)}.`, "bad");
+    }
+    setIntervalStatus(`Start again — play the root ${question.rootName}`);
+  }
+
+  if (intervalStartBtn) intervalStartBtn.addEventListener("click", handleIntervalStart);
+  if (intervalStopBtn) intervalStopBtn.addEventListener("click", handleIntervalStop);
+  if (intervalHintBtn) intervalHintBtn.addEventListener("click", handleIntervalHint);
+
+  const savedIntervals = window.Settings.get("intervalSet", null);
+  if (Array.isArray(savedIntervals)) {
+    intervalEls.forEach((el) => {
+      el.checked = savedIntervals.includes(Number(el.dataset.interval));
+    });
+  }
+  if (intervalDirectionEl) intervalDirectionEl.value = window.Settings.get("intervalDirection", intervalDirectionEl.value);
+  bindCheckboxSetting(intervalCompoundEl, "intervalCompound");
+  bindCheckboxSetting(intervalStrictEl, "intervalStrict");
+
+  [...intervalEls, intervalDirectionEl, intervalCompoundEl, intervalStrictEl].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("change", () => {
+      window.Settings.set("intervalSet", intervalEls.filter((x) => x.checked).map((x) => Number(x.dataset.interval)));
+      if (intervalDirectionEl) window.Settings.set("intervalDirection", intervalDirectionEl.value);
+      if (intervalStartBtn && intervalStartBtn.disabled) newInterval();
+    });
+  });
+  registerPanel("interval", () => {
+    if (intervalStartBtn) intervalStartBtn.disabled = false;
+    if (intervalStopBtn) intervalStopBtn.disabled = true;
+  });
+
+  intervalDiagram.setReveal(true); // targets are only set once answered
+  updateIntervalStats();
+
   //
   // ---------- TRIAD TRAINER ----------
   //
@@ -163,9 +853,37 @@
   const triadLogDiv = document.getElementById("triadLog");
   const triadLightsEl = document.getElementById("triadLights");
 
-  // NEW: quality toggles
-  const qualMajorEl = document.getElementById("qualMajor");
-  const qualMinorEl = document.getElementById("qualMinor");
+  // Quality toggles, keyed by Triads.ChordQuality
+  const qualityEls = {
+    MAJOR: document.getElementById("qualMajor"),
+    MINOR: document.getElementById("qualMinor"),
+    DIMINISHED: document.getElementById("qualDim"),
+    AUGMENTED: document.getElementById("qualAug"),
+    SUS2: document.getElementById("qualSus2"),
+    SUS4: document.getElementById("qualSus4"),
+    ADD9: document.getElementById("qualAdd9"),
+    MAJOR7: document.getElementById("qualMaj7"),
+    DOMINANT7: document.getElementById("qualDom7"),
+    MINOR7: document.getElementById("qualMin7"),
+    HALF_DIMINISHED7: document.getElementById("qualHalfDim7"),
+    DIMINISHED7: document.getElementById("qualDim7")
+  };
+  const triadAnswerModeEl = document.getElementById("triadAnswerMode");
+  const triadRevealEl = document.getElementById("triadReveal");
+  const triadDrillModeEl = document.getElementById("triadDrillMode");
+  const triadDrillCountEl = document.getElementById("triadDrillCount");
+  const triadDrillLimitEl = document.getElementById("triadDrillLimit");
+  const triadDrillText = document.getElementById("triadDrillText");
+  const triadTempoEveryEl = document.getElementById("triadTempoEvery");
+  const triadHintBtn = document.getElementById("triadHintBtn");
+  const spellingPreferEl = document.getElementById("spellingPrefer");
+  const spellingKeyEl = document.getElementById("spellingKey");
+  const triadPlayOnMissEl = document.getElementById("triadPlayOnMiss");
+  const triadExactEl = document.getElementById("triadExactVoicing");
+  const triadPatternEl = document.getElementById("triadPattern");
+  const triadFailFastEl = document.getElementById("triadFailFast");
+  const triadMaxErrorsEl = document.getElementById("triadMaxErrors");
+  const triadDiagram = window.FretboardDiagram.create(document.getElementById("triadDiagram"));
 
   const TRIAD_EVENT_DEBOUNCE_SECONDS = 0.4;
   let triadLastEvent = null;
@@ -176,6 +894,15 @@
   let triadCorrectCount = 0;
   let triadFailCount = 0; // wrong note resets
   let currentString = null;
+  let currentVoicing = null; // closed shape on the string set, if one fits
+  let triadAwaitingNext = false; // solved or timed out, next triad pending
+  let triadHistorySession = null;
+  let triadAttemptStartedAt = 0; // reset on every new triad and every restart
+  let triadDrill = null;
+  let triadDrillTimer = null;
+  let triadDetachTempo = null;
+  let triadTiming = newTimingTally();
+  let triadNoteTimings = []; // ms off the beat per correct note of this attempt
 
   function triadLog(message, level = "info") {
     if (!triadLogDiv) return;
@@ -193,7 +920,8 @@
 
   function updateTriadStats() {
     if (!triadStatsText) return;
-    triadStatsText.textContent = `Correct triads: ${triadCorrectCount} • Failed triads: ${triadFailCount}`;
+    triadStatsText.textContent =
+      `Correct triads: ${triadCorrectCount} • Failed triads: ${triadFailCount}` + describeTally(triadTiming);
   }
 
   function updateTriadTargetDisplay() {
@@ -201,69 +929,190 @@
     const labelSpan = triadTargetText.querySelector(".triad-label");
     if (!labelSpan) return;
 
-    if (!currentTriad || currentString == null) labelSpan.textContent = "–";
-    else labelSpan.textContent = `${currentTriad.label()} on string ${currentString}`;
+    if (!currentTriad || currentString == null) {
+      labelSpan.textContent = "–";
+      triadDiagram.clear();
+      return;
+    }
+    labelSpan.textContent = triadPrompt();
+    triadDiagram.setTarget(triadShape());
   }
 
-  function getAllowedQualities() {
-    const q = [];
+  // One dot per note: the voicing, or else each note on the next string
+  // up, nearest the previous fret
+  function triadShape() {
+    if (currentVoicing) return currentVoicing.notes.map(({ string, fret }) => ({ string, fret }));
+    const shape = [];
+    let near;
+    currentTriad.pitches().forEach((pc, i) => {
+      const pos = window.Fretboard.findPosition(currentString - i, pc, near);
+      if (!pos) return;
+      shape.push(pos);
+      near = pos.fret;
+    });
+    return shape;
+  }
+
+  // Played in the shape's register: from its first note, each next
+  // pitch above the last. Block chord when the answer is a strum.
+  function playTriad() {
+    if (!currentTriad || currentString == null) return;
+    const first = triadShape()[0];
+    if (!first) return;
+    const bass = window.Fretboard.targetAt(first.string, first.fret).midi;
+    const midis = currentVoicing ? currentVoicing.midis : currentTriad.midiNotes(bass);
+    const mode = isStrumMode() ? window.Synth.PlayMode.BLOCK : window.Synth.PlayMode.ARPEGGIO;
+    playReference(midis, { mode });
+  }
+
+  function playTriadAfterMiss() {
+    if (triadPlayOnMissEl && triadPlayOnMissEl.checked) playTriad();
+  }
+
+  function handleTriadHint() {
+    if (!currentTriad) {
+      triadLog("No triad yet.\nClick ‘Start’ first.", "warn");
+      return;
+    }
+    playTriad();
+    setTriadStatus("🔊 Playing the triad…");
+  }
 
-    // If toggles missing, default major only
-    if (!qualMajorEl && !qualMinorEl) return [window.Triads.TriadQuality.MAJOR];
+  // Where the first note sits depends on the active tuning + capo
+  function triadPrompt() {
+    if (currentVoicing) {
+      const strings = window.Voicings.describeStringSet(currentVoicing.strings);
+      return `${currentTriad.label()} on strings ${strings} (start: fret ${currentVoicing.notes[0].fret})`;
+    }
+    const first = currentTriad.pitches()[0];
+    const frets = window.Fretboard.fretsForPitchClass(currentString, first);
+    const hint = frets.length ? ` (start: fret ${frets[0]})` : "";
+    return `${currentTriad.label()} on string ${currentString}${hint}`;
+  }
 
-    if (qualMajorEl?.checked) q.push(window.Triads.TriadQuality.MAJOR);
-    if (qualMinorEl?.checked) q.push(window.Triads.TriadQuality.MINOR);
+  function getAllowedQualities() {
+    const q = Object.keys(qualityEls).filter((k) => qualityEls[k] && qualityEls[k].checked);
 
-    // Never allow empty
-    if (q.length === 0) return [window.Triads.TriadQuality.MAJOR];
+    // Never allow empty (also covers missing toggles): major only
+    if (q.length === 0) return [window.Triads.ChordQuality.MAJOR];
     return q;
   }
 
+  // { key, prefer } for how chords are written; saved under "spelling"
+  function currentSpelling() {
+    return {
+      key: spellingKeyEl && spellingKeyEl.value ? spellingKeyEl.value : null,
+      prefer: spellingPreferEl ? spellingPreferEl.value : window.Triads.Spelling.AUTO
+    };
+  }
+
+  // Spelled name of one of the current chord's (sharp) pitch classes
+  function spellTone(pc) {
+    const i = currentTriad.pitches().indexOf(pc);
+    return i >= 0 ? currentTriad.spelledPitches()[i] : pc;
+  }
+
   function ensureTriadTrainer() {
     triadTrainer = new window.Triads.TriadTrainer({
       allowedQualities: getAllowedQualities(),
+      possibleStrings: window.Fretboard.getInstrument().triadStrings,
+      spelling: currentSpelling(),
       // keep defaults for roots + inversions unless you want more controls later
     });
   }
 
-  function getSeq(session, res) {
-    return (res && res.expectedSequence) || session.expectedSequence || session.expected || [];
+  // Notes to play, in the answer pattern's order, as written for display
+  function getSeq() {
+    if (!currentTriad || !triadSession) return [];
+    const spelled = currentTriad.spelledPitches();
+    return triadSession.steps.map((st) => spelled[st.tone]);
   }
 
   function notePrompt(seq, index0) {
+    if (triadSession && triadSession.anyOrder) return `Note ${index0 + 1} of ${seq.length} (any order)`;
     const n = seq[index0] || "?";
     return `Note ${index0 + 1}: ${n}`;
   }
 
-  function renderLights(matchedCount, total = 3) {
+  // { pattern, failFast, maxErrors } from the answer controls; saved
+  // under "triadAnswer"
+  function triadAnswerOptions() {
+    return {
+      pattern: triadPatternEl ? triadPatternEl.value : window.Triads.AnswerPattern.ASCENDING,
+      failFast: !triadFailFastEl || triadFailFastEl.checked,
+      maxErrors: triadMaxErrorsEl ? Math.max(0, parseInt(triadMaxErrorsEl.value, 10) || 0) : 0
+    };
+  }
+
+  function renderLights(matchedCount, total = triadSession ? triadSession.expected.length : 3) {
     if (!triadLightsEl) return;
     if (window.Triads?.TriadsProgress?.render) {
       window.Triads.TriadsProgress.render(triadLightsEl, matchedCount, total);
     }
   }
 
+  // Exact voicing: notes must be the shape's MIDI notes, not just the
+  // right pitch classes anywhere on the neck
+  function isExactVoicing() {
+    return !!(currentVoicing && triadExactEl && triadExactEl.checked);
+  }
+
+  // A question whose closed shape fits the fret range (near the last
+  // shape); after a few misses, fall back to pitch classes only
+  const VOICING_TRIES = 24;
+
+  function nextVoicedQuestion() {
+    const nearFret = currentVoicing ? currentVoicing.minFret : undefined;
+    let question = null;
+    for (let i = 0; i < VOICING_TRIES; i++) {
+      question = triadTrainer.nextQuestion();
+      const set = window.Voicings.stringSetFrom(question.string, question.triad.size);
+      const voicing = window.Voicings.voicingNear(question.triad, set, nearFret);
+      if (voicing) return { ...question, voicing };
+    }
+    return { ...question, voicing: null };
+  }
+
   function newTriad(manual) {
     ensureTriadTrainer();
 
-    const question = triadTrainer.nextQuestion();
+    const question = nextVoicedQuestion();
     currentTriad = question.triad;
     currentString = question.string;
+    currentVoicing = question.voicing;
 
     triadSession = new window.Triads.TriadSequenceSession(currentTriad, {
       resetOnWrong: true,
       dedupeMs: 180,
-      countNonChordTonesAsError: true
+      countNonChordTonesAsError: true,
+      midis: isExactVoicing() ? currentVoicing.midis : null,
+      ...triadAnswerOptions()
     });
 
     triadLastEvent = null;
+    triadAwaitingNext = false;
+    triadAttemptStartedAt = performance.now();
+    triadNoteTimings = [];
+    if (triadDrill) triadDrill.prompt(triadAttemptStartedAt);
+    triadDiagram.setHeard(null);
     updateTriadTargetDisplay();
 
     const prefix = manual ? "Manual new triad" : "New triad";
-    triadLog(`${prefix}: ${currentTriad.label()} on string ${currentString}`, "info");
+    triadLog(`${prefix}: ${triadPrompt()}`, "info");
+
+    const seq = getSeq();
+    setTriadStatus(isStrumMode() ? "Listening… strum the whole triad." : `Listening… ${notePrompt(seq, 0)}`);
+    renderLights(0);
+  }
+
+  function isStrumMode() {
+    return !!(triadAnswerModeEl && triadAnswerModeEl.value === "strum");
+  }
 
-    const seq = getSeq(triadSession, null);
-    setTriadStatus(`Listening… ${notePrompt(seq, 0)}`);
-    renderLights(0, 3);
+  // Strum mode listens for whole chords instead of single notes
+  function startTriadAudio() {
+    if (isStrumMode()) return startAudio(() => {}, { onChord: onTriadStrumDetected });
+    return startAudio(onTriadPitchDetected);
   }
 
   async function handleTriadStart() {
@@ -271,11 +1120,8 @@
       triadLog("Requesting microphone access…", "info");
       setTriadStatus("Requesting mic permission…");
 
-      // Stop single-note UI
-      if (startBtn) startBtn.disabled = false;
-      if (stopBtn) stopBtn.disabled = true;
-
-      await startAudio(onTriadPitchDetected);
+      claimAudio("triad");
+      await startTriadAudio();
 
       triadLog("Mic access granted.\nListening…", "info");
       if (triadStartBtn) triadStartBtn.disabled = true;
@@ -283,9 +1129,19 @@
 
       triadCorrectCount = 0;
       triadFailCount = 0;
+      triadTiming = newTimingTally();
       updateTriadStats();
-
-      newTriad(false);
+      triadHistorySession = startHistorySession(window.PracticeStore.AttemptMode.TRIAD);
+      startTriadDrill();
+
+      triadDetachTempo = attachTempo(triadTempoEveryEl, onTriadTempoSlot);
+      if (triadDetachTempo) {
+        currentTriad = null;
+        updateTriadTargetDisplay();
+        setTriadStatus("Count-in… first triad on the next beat.");
+      } else {
+        newTriad(false);
+      }
     } catch (err) {
       console.error(err);
       triadLog("Error accessing microphone: " + err.message, "bad");
@@ -295,90 +1151,1889 @@
 
   function handleTriadStop() {
     window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
     setTriadStatus("Mic stopped.");
     triadLog("Stopped listening.", "info");
     if (triadStartBtn) triadStartBtn.disabled = false;
     if (triadStopBtn) triadStopBtn.disabled = true;
+    endHistorySession(triadHistorySession, stopTriadDrill());
+    triadHistorySession = null;
+    stopTriadTempo();
   }
 
-  function onTriadPitchDetected(freq) {
-    if (!currentTriad || !triadSession) return;
-
-    const midi = window.Fretboard.freqToMidi(freq);
-    if (midi == null) return;
-
-    const roundedMidi = Math.round(midi);
-    const heardName = window.Fretboard.midiToNoteName(roundedMidi);
-    const heardPitchClass = window.Fretboard.pitchClassName(roundedMidi);
-
-    // UI debounce to avoid spam
-    const label = heardPitchClass;
-    const now = performance.now() / 1000;
+  function stopTriadTempo() {
+    if (triadDetachTempo) triadDetachTempo();
+    triadDetachTempo = null;
+  }
 
-    if (triadLastEvent && triadLastEvent.label === label && now - triadLastEvent.time < TRIAD_EVENT_DEBOUNCE_SECONDS) {
-      return;
+  // Tempo mode: a triad not finished within its N beats is a fail
+  function onTriadTempoSlot() {
+    if (!(triadStartBtn && triadStartBtn.disabled)) return;
+    if (currentTriad && !triadAwaitingNext) {
+      triadFailCount++;
+      updateTriadStats();
+      recordTriadAttempt(false, null, null);
+      if (triadDrill) triadDrill.answer(false, performance.now());
     }
-    triadLastEvent = { label, time: now };
+    newTriad(false);
+  }
 
-    const res = triadSession.acceptNote(heardPitchClass);
-    if (res && res.ignored) return;
+  // Tempo mode: score a correct note/strum against the click, or null
+  function scoreTriadTiming(onsetTime) {
+    if (!triadDetachTempo) return null;
+    const ms = timingOf(onsetTime);
+    if (ms == null) return null;
+    addTiming(triadTiming, ms);
+    triadNoteTimings.push(Math.round(ms));
+    updateTriadStats();
+    return ms;
+  }
 
-    const msg = `Heard: ${heardName} (${freq.toFixed(1)} Hz)`;
+  function updateTriadDrillText() {
+    if (!triadDrillText) return;
+    triadDrillText.textContent = triadDrill ? describeDrill(triadDrill, performance.now()) : "";
+  }
 
-    if (res.correct) triadLog(msg + " → ✅ Correct.", "good");
-    else triadLog(msg + " → ❌ Wrong.", "bad");
+  function startTriadDrill() {
+    stopTriadDrill();
+    triadDrill = createDrill(triadDrillModeEl, triadDrillCountEl, triadDrillLimitEl);
+    triadDrill.start(performance.now());
+    triadDrillTimer = setInterval(tickTriadDrill, DRILL_TICK_MS);
+  }
 
-    const seq = getSeq(triadSession, res);
+  function stopTriadDrill() {
+    if (triadDrillTimer) clearInterval(triadDrillTimer);
+    triadDrillTimer = null;
+    const result = triadDrill ? { drill: triadDrill.summary(performance.now()) } : undefined;
+    triadDrill = null;
+    return result;
+  }
 
-    // update dots (optional)
-    renderLights(res.matchedCount || 0, 3);
+  function tickTriadDrill() {
+    if (!triadDrill || !currentTriad) return;
+    const tick = triadDrill.tick(performance.now());
 
-    // wrong note resets attempt, SAME triad
-    if (res.reset) {
+    if (tick.expired) {
       triadFailCount++;
       updateTriadStats();
-      setTriadStatus(`Wrong note. Restart — ${notePrompt(seq, 0)}`);
-      renderLights(0, 3);
-      return;
+      recordTriadAttempt(false, null, null);
+      triadLog(`⏱ Time's up — ${currentTriad.label()} is ${currentTriad.spelledPitches().join(" ")}.`, "bad");
+      playTriadAfterMiss();
+      triadAwaitingNext = true;
+      // In tempo mode the next beat slot brings the next triad
+      if (!tick.finished && !triadDetachTempo) {
+        setTimeout(() => {
+          if (triadStartBtn && triadStartBtn.disabled && triadDrill) newTriad(false);
+        }, 600);
+      }
+    }
+
+    if (tick.finished) finishTriadDrill();
+    else updateTriadDrillText();
+  }
+
+  function finishTriadDrill() {
+    const sum = triadDrill.summary(performance.now());
+    handleTriadStop();
+    if (triadDrillText) triadDrillText.textContent = "";
+    triadLog(describeDrillResult(sum), "good");
+    setTriadStatus("Drill finished. Click ‘Start’ for another round.");
+  }
+
+  // Solved: next triad, or the end of the drill. Returns false when the
+  // drill just finished.
+  function completeTriad() {
+    const drillAnswer = triadDrill ? triadDrill.answer(true, performance.now()) : null;
+    if (drillAnswer && drillAnswer.finished) {
+      finishTriadDrill();
+      return false;
+    }
+    updateTriadDrillText();
+
+    const reaction = drillAnswer && drillAnswer.reactionMs != null ? ` in ${formatSeconds(drillAnswer.reactionMs)}` : "";
+    triadAwaitingNext = true;
+    if (triadDetachTempo) {
+      setTriadStatus(`🎉 Triad complete${reaction}! Next triad on the beat…`);
+      return true;
+    }
+    setTriadStatus(`🎉 Triad complete${reaction}! New triad coming…`);
+
+    setTimeout(() => {
+      if (triadStartBtn && triadStartBtn.disabled) newTriad(false);
+    }, 600);
+    return true;
+  }
+
+  // One attempt per completed or failed triad; heard is the last note(s),
+  // or null when the time limit ran out
+  function recordTriadAttempt(correct, heard, freq) {
+    const attempt = {
+      mode: window.PracticeStore.AttemptMode.TRIAD,
+      sessionId: triadHistorySession,
+      answer: isStrumMode() ? "strum" : "arpeggio",
+      target: {
+        root: currentTriad.root,
+        quality: currentTriad.quality,
+        inversion: currentTriad.inversion,
+        string: currentString,
+        label: currentTriad.label()
+      },
+      heard,
+      hz: freq != null ? Math.round(freq * 10) / 10 : null,
+      correct,
+      latencyMs: Math.round(performance.now() - triadAttemptStartedAt)
+    };
+    if (heard == null) attempt.timedOut = true;
+    if (triadNoteTimings.length) attempt.timingsMs = triadNoteTimings.slice();
+    triadNoteTimings = [];
+    window.PracticeStore.recordAttempt(attempt);
+    triadAttemptStartedAt = performance.now();
+    scheduleStatsRender();
+  }
+
+  function onTriadPitchDetected(freq, info) {
+    if (!currentTriad || !triadSession || triadAwaitingNext) return;
+
+    const midi = window.Fretboard.freqToMidi(freq);
+    if (midi == null) return;
+
+    const roundedMidi = Math.round(midi);
+    const heardName = window.Fretboard.midiToNoteName(roundedMidi);
+    const heardPitchClass = window.Fretboard.pitchClassName(roundedMidi);
+
+    // UI debounce to avoid spam
+    const exact = isExactVoicing();
+    const label = exact ? heardName : heardPitchClass;
+    const now = performance.now() / 1000;
+
+    if (triadLastEvent && triadLastEvent.label === label && now - triadLastEvent.time < TRIAD_EVENT_DEBOUNCE_SECONDS) {
+      return;
+    }
+    triadLastEvent = { label, time: now };
+
+    const aimIndex = triadSession.index;
+    const res = triadSession.acceptNote(exact ? heardName : heardPitchClass);
+    if (res && res.ignored) return;
+
+    // Mark the heard note near the shape note the player was aiming for
+    const shape = triadShape();
+    const aimStep = triadSession.steps[Math.min(aimIndex, triadSession.steps.length - 1)];
+    const aim = shape[Math.min(aimStep.tone, shape.length - 1)];
+    triadDiagram.setHeard(window.Fretboard.nearestFretFromFreq(freq, aim));
+
+    const msg = `Heard: ${heardName} (${describeFreq(freq, info)})`;
+
+    if (res.correct) {
+      const timingMs = scoreTriadTiming(info && info.onsetTime);
+      triadLog(msg + " → ✅ Correct." + (timingMs != null ? "\n" + describeTiming(timingMs) : ""), "good");
+    } else {
+      // Later inversions sit an octave above the shown shape
+      const where = aimStep.octave ? "" : ` — this shape has it on string ${aim.string} fret ${aim.fret}`;
+      const what = res.octaveOff ? ` → ❌ Right note, wrong octave${where}.` : " → ❌ Wrong.";
+      if (res.tolerated) {
+        triadLog(msg + what + `\nMistake ${res.attemptErrors} of ${res.maxErrors} allowed — keep going.`, "warn");
+      } else {
+        triadLog(msg + what, "bad");
+      }
+    }
+
+    const seq = getSeq();
+
+    // update dots (optional)
+    renderLights(res.matchedCount || 0);
+
+    // wrong note resets attempt, SAME triad
+    if (res.reset) {
+      triadFailCount++;
+      updateTriadStats();
+      recordTriadAttempt(false, { name: heardName, midi: roundedMidi }, freq);
+      if (triadDrill) triadDrill.answer(false, performance.now());
+      const why = res.tooManyErrors ? "Too many mistakes" : "Wrong note";
+      setTriadStatus(`${why}. Restart — ${notePrompt(seq, 0)}`);
+      renderLights(0);
+      playTriadAfterMiss();
+      return;
     }
 
     // success => new triad
     if (res.status === "success") {
       triadCorrectCount++;
       updateTriadStats();
-      setTriadStatus("🎉 Triad complete! New triad coming…");
-      renderLights(3, 3);
-
-      setTimeout(() => {
-        if (triadStartBtn && triadStartBtn.disabled) newTriad(false);
-      }, 600);
+      recordTriadAttempt(true, { name: heardName, midi: roundedMidi }, freq);
+      renderLights(triadSession.expected.length);
+      completeTriad();
       return;
     }
 
     // pending => show next note number
     const matched = typeof res.matchedCount === "number" ? res.matchedCount : 0;
-    const nextIndex = Math.min(matched, 2);
+    const nextIndex = Math.min(matched, seq.length - 1);
     setTriadStatus(`Listening… ${notePrompt(seq, nextIndex)}`);
   }
 
+  // Chroma says which pitch classes rang; the lowest tone checks the inversion
+  function onTriadStrumDetected(strum) {
+    if (!currentTriad || triadAwaitingNext) return;
+    // An onset with no clear pitch (a knock, a muted strum) is no answer
+    if (!strum || !strum.chroma) return;
+
+    const res = window.Triads.checkStrummedTriad(currentTriad, strum, {
+      midis: isExactVoicing() ? currentVoicing.midis : null
+    });
+    const heard = res.detected.length ? res.detected.join(" ") : "nothing clear";
+    const msg = `Heard chord: ${heard}` + (res.bass ? ` (lowest ${res.bass})` : "");
+
+    renderLights(res.expectedSequence.length - res.missing.length, res.expectedSequence.length);
+
+    if (res.success) {
+      triadCorrectCount++;
+      updateTriadStats();
+      const timingMs = scoreTriadTiming(strum.onsetTime);
+      recordTriadAttempt(true, { pitchClasses: res.detected, bass: res.bass }, strum.bassFreq);
+      triadLog(msg + " → ✅ Correct." + (timingMs != null ? "\n" + describeTiming(timingMs) : ""), "good");
+      completeTriad();
+      return;
+    }
+
+    const problems = [];
+    if (res.missing.length) problems.push(`missing ${res.missing.map(spellTone).join(" ")}`);
+    if (res.extra.length) problems.push(`extra ${res.extra.join(" ")}`);
+    if (!res.registerOk) {
+      const bass = currentVoicing.notes[0];
+      problems.push(`lowest note should be the ${spellTone(res.expectedBass)} on string ${bass.string} fret ${bass.fret}`);
+    } else if (!res.inversionOk) {
+      problems.push(`lowest note should be ${spellTone(res.expectedBass)}`);
+    }
+
+    triadFailCount++;
+    updateTriadStats();
+    recordTriadAttempt(false, { pitchClasses: res.detected, bass: res.bass }, strum.bassFreq);
+    if (triadDrill) triadDrill.answer(false, performance.now());
+    triadLog(`${msg} → ❌ ${problems.join(", ")}.`, "bad");
+    setTriadStatus("Strum again…");
+    playTriadAfterMiss();
+  }
+
+  if (triadRevealEl) {
+    triadRevealEl.addEventListener("change", () => triadDiagram.setReveal(triadRevealEl.checked));
+  }
+
+  if (triadAnswerModeEl) {
+    triadAnswerModeEl.addEventListener("change", () => {
+      if (!(triadStartBtn && triadStartBtn.disabled)) return;
+      startTriadAudio()
+        .then(() => newTriad(true))
+        .catch((err) => triadLog("Error accessing microphone: " + err.message, "bad"));
+    });
+  }
+
   // Apply toggle changes live (if triad trainer running, immediately refresh triad)
-  [qualMajorEl, qualMinorEl].forEach((el) => {
+  Object.values(qualityEls).forEach((el) => {
     if (!el) return;
     el.addEventListener("change", () => {
       // keep at least one checked (UI safety)
-      if (qualMajorEl && qualMinorEl && !qualMajorEl.checked && !qualMinorEl.checked) {
-        qualMajorEl.checked = true;
-      }
+      const els = Object.values(qualityEls).filter(Boolean);
+      if (!els.some((q) => q.checked)) el.checked = true;
       if (triadStartBtn && triadStartBtn.disabled) {
         newTriad(true);
       }
     });
   });
 
+  const savedSpelling = window.Settings.get("spelling", {});
+  [spellingPreferEl, spellingKeyEl].forEach((el) => {
+    if (!el) return;
+    const value = savedSpelling[el === spellingKeyEl ? "key" : "prefer"];
+    if (value != null) el.value = value;
+    el.addEventListener("change", () => {
+      window.Settings.set("spelling", currentSpelling());
+      if (triadStartBtn && triadStartBtn.disabled) newTriad(true);
+    });
+  });
+
   if (triadStartBtn) triadStartBtn.addEventListener("click", handleTriadStart);
   if (triadStopBtn) triadStopBtn.addEventListener("click", handleTriadStop);
+  if (triadHintBtn) triadHintBtn.addEventListener("click", handleTriadHint);
+  bindCheckboxSetting(triadPlayOnMissEl, "triadPlayOnMiss");
+  bindCheckboxSetting(triadExactEl, "triadExactVoicing", true);
+
+  function updateMaxErrorsEnabled() {
+    if (triadMaxErrorsEl) triadMaxErrorsEl.disabled = !!(triadFailFastEl && triadFailFastEl.checked);
+  }
+
+  const savedAnswer = window.Settings.get("triadAnswer", {});
+  if (triadPatternEl && savedAnswer.pattern) triadPatternEl.value = savedAnswer.pattern;
+  if (triadFailFastEl && savedAnswer.failFast != null) triadFailFastEl.checked = savedAnswer.failFast;
+  if (triadMaxErrorsEl && savedAnswer.maxErrors != null) triadMaxErrorsEl.value = savedAnswer.maxErrors;
+  updateMaxErrorsEnabled();
+  [triadPatternEl, triadFailFastEl, triadMaxErrorsEl].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("change", () => {
+      window.Settings.set("triadAnswer", triadAnswerOptions());
+      updateMaxErrorsEnabled();
+      if (triadStartBtn && triadStartBtn.disabled) newTriad(true);
+    });
+  });
+  if (triadExactEl) {
+    triadExactEl.addEventListener("change", () => {
+      if (triadStartBtn && triadStartBtn.disabled) newTriad(true);
+    });
+  }
+  registerPanel("triad", () => {
+    if (triadStartBtn) triadStartBtn.disabled = false;
+    if (triadStopBtn) triadStopBtn.disabled = true;
+    endHistorySession(triadHistorySession, stopTriadDrill());
+    triadHistorySession = null;
+    stopTriadTempo();
+    if (triadDrillText) triadDrillText.textContent = "";
+  });
 
   updateTriadTargetDisplay();
   updateTriadStats();
   triadLog("Triad trainer ready. Click ‘Start’ to begin.", "info");
+
+  //
+  // ---------- SCALE TRAINER ----------
+  //
+  const scaleStartBtn = document.getElementById("scaleStartBtn");
+  const scaleStopBtn = document.getElementById("scaleStopBtn");
+  const scaleHintBtn = document.getElementById("scaleHintBtn");
+  const scaleTypeEls = Array.from(document.querySelectorAll("[data-scale-type]"));
+  const scaleDirectionEl = document.getElementById("scaleDirection");
+  const scaleExactEl = document.getElementById("scaleExactOctave");
+  const scaleTargetText = document.getElementById("scaleTargetText");
+  const scaleStatusText = document.getElementById("scaleStatusText");
+  const scaleStatsText = document.getElementById("scaleStatsText");
+  const scaleLightsEl = document.getElementById("scaleLights");
+  const scaleLogDiv = document.getElementById("scaleLog");
+
+  const SCALE_EVENT_DEBOUNCE_SECONDS = 0.4;
+  const SCALE_NEXT_DELAY_MS = 900;
+  let scaleLastEvent = null;
+  let currentScale = null;
+  let scaleString = null;
+  let scaleRootFret = null;
+  let scaleSession = null;
+  let scaleCorrectCount = 0;
+  let scaleFailCount = 0;
+  let scaleAwaitingNext = false;
+
+  function scaleLog(message, level = "info") {
+    if (!scaleLogDiv) return;
+    scaleLogDiv.className = "log";
+    if (level === "good") scaleLogDiv.classList.add("log-good");
+    if (level === "warn") scaleLogDiv.classList.add("log-warn");
+    if (level === "bad") scaleLogDiv.classList.add("log-bad");
+    scaleLogDiv.textContent = message;
+  }
+
+  function setScaleStatus(msg) {
+    if (!scaleStatusText) return;
+    scaleStatusText.innerHTML = `Status: ${msg}`;
+  }
+
+  function updateScaleStats() {
+    if (!scaleStatsText) return;
+    scaleStatsText.textContent = `Correct: ${scaleCorrectCount} • Restarts: ${scaleFailCount}`;
+  }
+
+  function renderScaleLights(matched) {
+    if (!scaleLightsEl || !scaleSession) return;
+    window.Triads.TriadsProgress.render(scaleLightsEl, matched, scaleSession.expected.length);
+  }
+
+  function getAllowedScaleTypes() {
+    const types = scaleTypeEls.filter((el) => el.checked).map((el) => el.dataset.scaleType);
+    return types.length ? types : [window.Scales.ScaleType.MAJOR];
+  }
+
+  function scaleDirection() {
+    return scaleDirectionEl ? scaleDirectionEl.value : window.Scales.ScaleDirection.ASCENDING;
+  }
+
+  function isScaleExact() {
+    return !!(scaleExactEl && scaleExactEl.checked);
+  }
+
+  // One octave from the root at scaleRootFret on scaleString
+  function scaleMidis() {
+    const tuning = window.Fretboard.getTuning().strings;
+    return currentScale.midiNotes(tuning[scaleString] + scaleRootFret);
+  }
+
+  // Notes to play, in order, as written for display
+  function scaleSeq() {
+    const spelled = currentScale.spelledPitches();
+    return scaleSession.steps.map((st) => spelled[st.tone]);
+  }
+
+  function updateScaleTargetDisplay() {
+    const labelSpan = scaleTargetText && scaleTargetText.querySelector(".triad-label");
+    if (!labelSpan) return;
+    if (!currentScale) {
+      labelSpan.textContent = "–";
+      return;
+    }
+    const prompt = window.Scales.describeQuestion(currentScale, scaleDirection(), scaleString);
+    labelSpan.textContent = `${prompt} (low root: fret ${scaleRootFret})`;
+  }
+
+  // Root on one of the two lowest strings, at its lowest playable fret
+  function newScale() {
+    const trainer = new window.Scales.ScaleTrainer({
+      allowedTypes: getAllowedScaleTypes(),
+      possibleStrings: window.Fretboard.strings().slice(0, 2)
+    });
+    let question = trainer.nextQuestion();
+    let frets = window.Fretboard.fretsForPitchClass(question.string, question.scale.root);
+    for (let tries = 0; !frets.length && tries < 12; tries++) {
+      question = trainer.nextQuestion();
+      frets = window.Fretboard.fretsForPitchClass(question.string, question.scale.root);
+    }
+
+    currentScale = question.scale;
+    scaleString = question.string;
+    scaleRootFret = frets.length ? Math.min(...frets) : window.Fretboard.getCapo();
+    scaleSession = new window.Scales.ScaleSequenceSession(currentScale, {
+      direction: scaleDirection(),
+      midis: isScaleExact() ? scaleMidis() : null,
+      resetOnWrong: true,
+      countNonChordTonesAsError: true
+    });
+    scaleLastEvent = null;
+    scaleAwaitingNext = false;
+
+    updateScaleTargetDisplay();
+    renderScaleLights(0);
+    setScaleStatus(`Listening… note 1: ${scaleSeq()[0]}`);
+  }
+
+  function playScale() {
+    const midis = scaleMidis();
+    const top = midis[0] + 12;
+    const notes = scaleSession.steps.map((st) => (st.octave ? top : midis[st.tone]));
+    playReference(notes, { mode: window.Synth.PlayMode.ARPEGGIO, gap: 0.3 });
+  }
+
+  function handleScaleHint() {
+    if (!currentScale) {
+      scaleLog("No scale yet.\nClick ‘Start’ first.", "warn");
+      return;
+    }
+    scaleSession.restartAttempt();
+    renderScaleLights(0);
+    playScale();
+    setScaleStatus(`🔊 Playing the scale… then start again from ${scaleSeq()[0]}`);
+  }
+
+  async function handleScaleStart() {
+    try {
+      scaleLog("Requesting microphone access…", "info");
+      setScaleStatus("Requesting mic permission…");
+
+      claimAudio("scale");
+      await startAudio(onScalePitchDetected);
+
+      scaleLog("Mic access granted.\nPlay the scale one note at a time.", "info");
+      if (scaleStartBtn) scaleStartBtn.disabled = true;
+      if (scaleStopBtn) scaleStopBtn.disabled = false;
+
+      scaleCorrectCount = 0;
+      scaleFailCount = 0;
+      updateScaleStats();
+      newScale();
+    } catch (err) {
+      console.error(err);
+      scaleLog("Error accessing microphone: " + err.message, "bad");
+      setScaleStatus("Mic error. Check permissions and default input device.");
+    }
+  }
+
+  function handleScaleStop() {
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    setScaleStatus("Mic stopped.");
+    scaleLog("Stopped listening.", "info");
+    if (scaleStartBtn) scaleStartBtn.disabled = false;
+    if (scaleStopBtn) scaleStopBtn.disabled = true;
+  }
+
+  function onScalePitchDetected(freq, info) {
+    if (!scaleSession || scaleAwaitingNext) return;
+
+    const midi = window.Fretboard.freqToMidi(freq);
+    if (midi == null) return;
+    const roundedMidi = Math.round(midi);
+    const heardName = window.Fretboard.midiToNoteName(roundedMidi);
+    const exact = isScaleExact();
+    const label = exact ? heardName : window.Fretboard.pitchClassName(roundedMidi);
+
+    const now = performance.now() / 1000;
+    if (scaleLastEvent && scaleLastEvent.label === label && now - scaleLastEvent.time < SCALE_EVENT_DEBOUNCE_SECONDS) return;
+    scaleLastEvent = { label, time: now };
+
+    const res = scaleSession.acceptNote(label);
+    if (res && res.ignored) return;
+
+    const msg = `Heard: ${heardName} (${describeFreq(freq, info)})`;
+    const seq = scaleSeq();
+    renderScaleLights(res.matchedCount || 0);
+
+    if (res.reset) {
+      scaleFailCount++;
+      updateScaleStats();
+      const why = res.octaveOff ? "❌ Right note, wrong octave." : "❌ Wrong.";
+      scaleLog(`${msg} → ${why}`, "bad");
+      setScaleStatus(`Wrong note. Restart — note 1: ${seq[0]}`);
+      return;
+    }
+
+    if (res.status === "success") {
+      scaleCorrectCount++;
+      updateScaleStats();
+      scaleLog(`${msg} → ✅ ${currentScale.label()}: ${seq.join(" ")}`, "good");
+      setScaleStatus("Nice! Next scale coming…");
+      scaleAwaitingNext = true;
+      setTimeout(() => {
+        if (scaleStartBtn && scaleStartBtn.disabled) newScale();
+      }, SCALE_NEXT_DELAY_MS);
+      return;
+    }
+
+    scaleLog(`${msg} → ✅ Correct.`, "good");
+    setScaleStatus(`Listening… note ${res.matchedCount + 1}: ${seq[res.matchedCount]}`);
+  }
+
+  if (scaleStartBtn) scaleStartBtn.addEventListener("click", handleScaleStart);
+  if (scaleStopBtn) scaleStopBtn.addEventListener("click", handleScaleStop);
+  if (scaleHintBtn) scaleHintBtn.addEventListener("click", handleScaleHint);
+
+  const savedScaleTypes = window.Settings.get("scaleTypes", null);
+  if (Array.isArray(savedScaleTypes)) {
+    scaleTypeEls.forEach((el) => {
+      el.checked = savedScaleTypes.includes(el.dataset.scaleType);
+    });
+  }
+  if (scaleDirectionEl) scaleDirectionEl.value = window.Settings.get("scaleDirection", scaleDirectionEl.value);
+  bindCheckboxSetting(scaleExactEl, "scaleExactOctave");
+
+  // Any change applies from the next scale; restart now if running
+  [...scaleTypeEls, scaleDirectionEl, scaleExactEl].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("change", () => {
+      window.Settings.set("scaleTypes", getAllowedScaleTypes());
+      if (scaleDirectionEl) window.Settings.set("scaleDirection", scaleDirectionEl.value);
+      if (scaleStartBtn && scaleStartBtn.disabled) newScale();
+    });
+  });
+  registerPanel("scale", () => {
+    if (scaleStartBtn) scaleStartBtn.disabled = false;
+    if (scaleStopBtn) scaleStopBtn.disabled = true;
+  });
+
+  updateScaleStats();
+
+  //
+  // ---------- PROGRESSION TRAINER ----------
+  //
+  const progStartBtn = document.getElementById("progStartBtn");
+  const progStopBtn = document.getElementById("progStopBtn");
+  const progHintBtn = document.getElementById("progHintBtn");
+  const progKeyEl = document.getElementById("progKey");
+  const progPresetEl = document.getElementById("progPreset");
+  const progCustomEl = document.getElementById("progCustom");
+  const progTargetText = document.getElementById("progTargetText");
+  const progStatusText = document.getElementById("progStatusText");
+  const progStatsText = document.getElementById("progStatsText");
+  const progLightsEl = document.getElementById("progLights");
+  const progLogDiv = document.getElementById("progLog");
+
+  const PROG_EVENT_DEBOUNCE_SECONDS = 0.4;
+  const PROG_NEXT_DELAY_MS = 1500;
+  // Hint chords are stacked up from here (C3)
+  const PROG_HINT_BASS_MIDI = 48;
+  let progLastEvent = null;
+  let progSession = null;
+  let progDoneCount = 0;
+  let progRestartCount = 0;
+  let progAwaitingNext = false;
+
+  function progLog(message, level = "info") {
+    if (!progLogDiv) return;
+    progLogDiv.className = "log";
+    if (level === "good") progLogDiv.classList.add("log-good");
+    if (level === "warn") progLogDiv.classList.add("log-warn");
+    if (level === "bad") progLogDiv.classList.add("log-bad");
+    progLogDiv.textContent = message;
+  }
+
+  function setProgStatus(msg) {
+    if (!progStatusText) return;
+    progStatusText.innerHTML = `Status: ${msg}`;
+  }
+
+  function updateProgStats() {
+    if (!progStatsText) return;
+    progStatsText.textContent = `Progressions: ${progDoneCount} • Restarts: ${progRestartCount}`;
+  }
+
+  function progNumerals() {
+    if (!progPresetEl || progPresetEl.value === "custom") return progCustomEl ? progCustomEl.value : "";
+    return progPresetEl.value;
+  }
+
+  function progKey() {
+    return progKeyEl ? progKeyEl.value : "C";
+  }
+
+  // "ii → [V] → I" with the chord being played in brackets
+  function updateProgTargetDisplay() {
+    const labelSpan = progTargetText && progTargetText.querySelector(".triad-label");
+    if (!labelSpan) return;
+    if (!progSession) {
+      labelSpan.textContent = "–";
+      return;
+    }
+    labelSpan.textContent = progSession.steps
+      .map((st, i) => (i === progSession.index && !progSession.done ? `[${st.numeral}]` : st.numeral))
+      .join(" → ");
+  }
+
+  function progChordPrompt() {
+    const step = progSession.current;
+    if (!step) return "";
+    const tones = step.chord.spelledPitches();
+    const next = tones[progSession.chordSession.index];
+    return `${step.numeral} = ${step.chord.label()} — note ${progSession.chordSession.index + 1}: ${next}`;
+  }
+
+  function renderProgLights() {
+    if (!progLightsEl || !progSession || !progSession.current) return;
+    window.Triads.TriadsProgress.render(progLightsEl, progSession.chordSession.index, progSession.current.chord.size);
+  }
+
+  // Parse errors (a typo in a custom progression) stop here with a message
+  function newProgression() {
+    let steps;
+    try {
+      steps = window.Progressions.parseProgression(progNumerals(), progKey());
+    } catch (err) {
+      progSession = null;
+      updateProgTargetDisplay();
+      progLog(`${err.message}\nUse numerals like I, ii, V64, vii°6, bVII.`, "bad");
+      setProgStatus("Fix the progression to continue.");
+      return;
+    }
+
+    progSession = new window.Progressions.ProgressionSession(steps, {
+      resetOnWrong: true,
+      countNonChordTonesAsError: true
+    });
+    progLastEvent = null;
+    progAwaitingNext = false;
+    updateProgTargetDisplay();
+    updateProgStats();
+    renderProgLights();
+    setProgStatus(`Listening… ${progChordPrompt()}`);
+  }
+
+  function handleProgHint() {
+    if (!progSession || !progSession.current) {
+      progLog("No progression yet.\nClick ‘Start’ first.", "warn");
+      return;
+    }
+    progSession.restartChord();
+    renderProgLights();
+    playReference(progSession.current.chord.midiNotes(PROG_HINT_BASS_MIDI), { mode: window.Synth.PlayMode.ARPEGGIO });
+    setProgStatus(`🔊 Playing ${progSession.current.chord.label()}… ${progChordPrompt()}`);
+  }
+
+  async function handleProgStart() {
+    try {
+      progLog("Requesting microphone access…", "info");
+      setProgStatus("Requesting mic permission…");
+
+      claimAudio("progression");
+      await startAudio(onProgPitchDetected);
+
+      progLog("Mic access granted.\nPlay each chord's tones from its bass up.", "info");
+      if (progStartBtn) progStartBtn.disabled = true;
+      if (progStopBtn) progStopBtn.disabled = false;
+
+      progDoneCount = 0;
+      progRestartCount = 0;
+      newProgression();
+    } catch (err) {
+      console.error(err);
+      progLog("Error accessing microphone: " + err.message, "bad");
+      setProgStatus("Mic error. Check permissions and default input device.");
+    }
+  }
+
+  function handleProgStop() {
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    setProgStatus("Mic stopped.");
+    progLog("Stopped listening.", "info");
+    if (progStartBtn) progStartBtn.disabled = false;
+    if (progStopBtn) progStopBtn.disabled = true;
+  }
+
+  function onProgPitchDetected(freq, info) {
+    if (!progSession || progAwaitingNext) return;
+
+    const midi = window.Fretboard.freqToMidi(freq);
+    if (midi == null) return;
+    const roundedMidi = Math.round(midi);
+    const heardPitchClass = window.Fretboard.pitchClassName(roundedMidi);
+
+    const now = performance.now() / 1000;
+    if (progLastEvent && progLastEvent.label === heardPitchClass && now - progLastEvent.time < PROG_EVENT_DEBOUNCE_SECONDS) return;
+    progLastEvent = { label: heardPitchClass, time: now };
+
+    const res = progSession.acceptNote(heardPitchClass);
+    if (res && res.ignored) return;
+
+    const msg = `Heard: ${window.Fretboard.midiToNoteName(roundedMidi)} (${describeFreq(freq, info)})`;
+    updateProgTargetDisplay();
+    renderProgLights();
+
+    if (res.reset) {
+      progRestartCount++;
+      updateProgStats();
+      progLog(`${msg} → ❌ Wrong. Start ${progSession.current.numeral} again.`, "bad");
+      setProgStatus(`Wrong note. Restart — ${progChordPrompt()}`);
+      return;
+    }
+
+    if (res.done) {
+      progDoneCount++;
+      updateProgStats();
+      const chart = progSession.steps.map((st) => st.chord.label()).join(" → ");
+      progLog(`${msg} → ✅ Progression complete:\n${chart}`, "good");
+      setProgStatus("Nice! Going round again…");
+      progAwaitingNext = true;
+      setTimeout(() => {
+        if (progStartBtn && progStartBtn.disabled) newProgression();
+      }, PROG_NEXT_DELAY_MS);
+      return;
+    }
+
+    if (res.chordDone) {
+      progLog(`${msg} → ✅ ${res.chordDone.numeral} (${res.chordDone.chord.label()}) done.`, "good");
+    } else {
+      progLog(`${msg} → ✅ Correct.`, "good");
+    }
+    setProgStatus(`Listening… ${progChordPrompt()}`);
+  }
+
+  if (progStartBtn) progStartBtn.addEventListener("click", handleProgStart);
+  if (progStopBtn) progStopBtn.addEventListener("click", handleProgStop);
+  if (progHintBtn) progHintBtn.addEventListener("click", handleProgHint);
+
+  const savedProg = window.Settings.get("progression", {});
+  if (progKeyEl && savedProg.key) progKeyEl.value = savedProg.key;
+  if (progPresetEl && savedProg.preset) progPresetEl.value = savedProg.preset;
+  if (progCustomEl && savedProg.custom) progCustomEl.value = savedProg.custom;
+
+  [progKeyEl, progPresetEl, progCustomEl].forEach((el) => {
+    if (!el) return;
+    el.addEventListener("change", () => {
+      window.Settings.set("progression", {
+        key: progKey(),
+        preset: progPresetEl ? progPresetEl.value : null,
+        custom: progCustomEl ? progCustomEl.value : ""
+      });
+      if (progStartBtn && progStartBtn.disabled) newProgression();
+    });
+  });
+  registerPanel("progression", () => {
+    if (progStartBtn) progStartBtn.disabled = false;
+    if (progStopBtn) progStopBtn.disabled = true;
+  });
+
+  updateProgStats();
+
+  //
+  // ---------- EAR TRAINING (call and response) ----------
+  //
+  const earStartBtn = document.getElementById("earStartBtn");
+  const earStopBtn = document.getElementById("earStopBtn");
+  const earReplayBtn = document.getElementById("earReplayBtn");
+  const earLengthEl = document.getElementById("earLength");
+  const earExactOctaveEl = document.getElementById("earExactOctave");
+  const earStatusText = document.getElementById("earStatusText");
+  const earStatsText = document.getElementById("earStatsText");
+  const earLightsEl = document.getElementById("earLights");
+  const earLogDiv = document.getElementById("earLog");
+
+  const EAR_EVENT_DEBOUNCE_SECONDS = 0.4;
+  let earLastEvent = null;
+  let earSession = null;
+  let earCorrectCount = 0;
+  let earMistakeCount = 0;
+  let earAwaitingNext = false;
+
+  function earLog(message, level = "info") {
+    if (!earLogDiv) return;
+    earLogDiv.className = "log";
+    if (level === "good") earLogDiv.classList.add("log-good");
+    if (level === "warn") earLogDiv.classList.add("log-warn");
+    if (level === "bad") earLogDiv.classList.add("log-bad");
+    earLogDiv.textContent = message;
+  }
+
+  function setEarStatus(msg) {
+    if (!earStatusText) return;
+    earStatusText.innerHTML = `Status: ${msg}`;
+  }
+
+  function updateEarStats() {
+    if (!earStatsText) return;
+    earStatsText.textContent = `Correct: ${earCorrectCount} • Mistakes: ${earMistakeCount}`;
+  }
+
+  function renderEarLights(matched, total) {
+    if (!earLightsEl) return;
+    window.Triads.TriadsProgress.render(earLightsEl, matched, total);
+  }
+
+  function isEarExact() {
+    return !!(earExactOctaveEl && earExactOctaveEl.checked);
+  }
+
+  function earNoteName(midi) {
+    return isEarExact() ? window.Fretboard.midiToNoteName(midi) : window.Fretboard.pitchClassName(midi);
+  }
+
+  function playEarPhrase() {
+    if (!earSession) return;
+    playReference(earSession.phrase, { mode: window.Synth.PlayMode.ARPEGGIO });
+  }
+
+  // Phrase from whatever the current tuning, capo and fret range can play
+  function newEarPhrase() {
+    const midis = window.Fretboard.positions().map((p) => p.midi);
+    const length = earLengthEl ? parseInt(earLengthEl.value, 10) || 1 : 1;
+    earSession = new window.EarTraining.EchoSession(
+      window.EarTraining.randomPhrase(midis, { length }),
+      { exactOctave: isEarExact() }
+    );
+    earLastEvent = null;
+    earAwaitingNext = false;
+    renderEarLights(0, earSession.phrase.length);
+    playEarPhrase();
+
+    const what = length > 1 ? `${length} notes` : "one note";
+    setEarStatus(`Listen… then play back ${what}.`);
+  }
+
+  async function handleEarStart() {
+    try {
+      earLog("Requesting microphone access…", "info");
+      setEarStatus("Requesting mic permission…");
+
+      claimAudio("ear");
+      await startAudio(onEarPitchDetected);
+
+      earLog("Mic access granted.\nPlay back what you hear.", "info");
+      if (earStartBtn) earStartBtn.disabled = true;
+      if (earStopBtn) earStopBtn.disabled = false;
+
+      earCorrectCount = 0;
+      earMistakeCount = 0;
+      updateEarStats();
+      newEarPhrase();
+    } catch (err) {
+      console.error(err);
+      earLog("Error accessing microphone: " + err.message, "bad");
+      setEarStatus("Mic error. Check permissions and default input device.");
+    }
+  }
+
+  function handleEarStop() {
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    setEarStatus("Mic stopped.");
+    earLog("Stopped listening.", "info");
+    if (earStartBtn) earStartBtn.disabled = false;
+    if (earStopBtn) earStopBtn.disabled = true;
+  }
+
+  function onEarPitchDetected(freq, info) {
+    if (!earSession || earAwaitingNext) return;
+
+    const midi = window.Fretboard.freqToMidi(freq);
+    if (midi == null) return;
+    const roundedMidi = Math.round(midi);
+
+    const label = isEarExact() ? roundedMidi : roundedMidi % 12;
+    const now = performance.now() / 1000;
+    if (earLastEvent && earLastEvent.label === label && now - earLastEvent.time < EAR_EVENT_DEBOUNCE_SECONDS) return;
+    earLastEvent = { label, time: now };
+
+    const res = earSession.acceptNote(roundedMidi);
+    const msg = `Heard: ${window.Fretboard.midiToNoteName(roundedMidi)} (${describeFreq(freq, info)})`;
+    renderEarLights(res.matchedCount, res.total);
+
+    if (res.done) {
+      earCorrectCount++;
+      updateEarStats();
+      const answer = earSession.phrase.map(earNoteName).join(" ");
+      earLog(`${msg} → ✅ That's it: ${answer}`, "good");
+      setEarStatus("Nice! Next phrase coming…");
+      earAwaitingNext = true;
+      setTimeout(() => {
+        if (earStartBtn && earStartBtn.disabled) newEarPhrase();
+      }, 900);
+      return;
+    }
+
+    if (res.correct) {
+      earLog(`${msg} → ✅ Note ${res.matchedCount} of ${res.total}.`, "good");
+      setEarStatus(`Listening… note ${res.matchedCount + 1} of ${res.total}`);
+      return;
+    }
+
+    earMistakeCount++;
+    updateEarStats();
+    const why = res.octaveOff ? "❌ Right note, wrong octave." : "❌ Not that one.";
+    earLog(`${msg} → ${why}`, "bad");
+    setEarStatus(res.total > 1 ? "Start again from the first note (🔊 Replay to hear it again)." : "Try again (🔊 Replay to hear it again).");
+  }
+
+  if (earStartBtn) earStartBtn.addEventListener("click", handleEarStart);
+  if (earStopBtn) earStopBtn.addEventListener("click", handleEarStop);
+  if (earReplayBtn) {
+    earReplayBtn.addEventListener("click", () => {
+      if (!earSession) {
+        earLog("No phrase yet.\nClick ‘Start’ first.", "warn");
+        return;
+      }
+      earSession.restart();
+      renderEarLights(earSession.index, earSession.phrase.length);
+      playEarPhrase();
+    });
+  }
+  bindCheckboxSetting(earExactOctaveEl, "earExactOctave");
+  if (earExactOctaveEl) {
+    earExactOctaveEl.addEventListener("change", () => {
+      if (earSession) earSession.exactOctave = isEarExact();
+    });
+  }
+  registerPanel("ear", () => {
+    if (earStartBtn) earStartBtn.disabled = false;
+    if (earStopBtn) earStopBtn.disabled = true;
+  });
+
+  updateEarStats();
+  earLog("Ready.\nClick ‘Start’ to hear the first phrase.", "info");
+
+  //
+  // ---------- CHORD QUIZ (quality + inversion by ear) ----------
+  //
+  const quizStartBtn = document.getElementById("quizStartBtn");
+  const quizStopBtn = document.getElementById("quizStopBtn");
+  const quizReplayBtn = document.getElementById("quizReplayBtn");
+  const quizQualityEls = {
+    MAJOR: document.getElementById("quizMajor"),
+    MINOR: document.getElementById("quizMinor"),
+    DIMINISHED: document.getElementById("quizDim"),
+    AUGMENTED: document.getElementById("quizAug")
+  };
+  const quizInversionsEl = document.getElementById("quizInversions");
+  const quizPlayModeEl = document.getElementById("quizPlayMode");
+  const quizQualityBtns = document.getElementById("quizQualityBtns");
+  const quizInversionBtns = document.getElementById("quizInversionBtns");
+  const quizStatusText = document.getElementById("quizStatusText");
+  const quizStatsText = document.getElementById("quizStatsText");
+  const quizLogDiv = document.getElementById("quizLog");
+  const quizTallyEl = document.getElementById("quizTally");
+  const quizResetBtn = document.getElementById("quizResetBtn");
+
+  const QUIZ_INVERSION_NAMES = ["Root", "1st inv", "2nd inv"];
+  const QUIZ_NEXT_DELAY_MS = 1500;
+
+  const quizTally = new window.EarTraining.QuizTally();
+  let quizRunning = false;
+  let quizChord = null; // { triad, midis }
+  let quizPicked = { quality: null, inversion: null };
+  let quizAwaitingNext = false;
+  let quizCorrectCount = 0;
+  let quizMistakeCount = 0;
+
+  function quizLog(message, level = "info") {
+    if (!quizLogDiv) return;
+    quizLogDiv.className = "log";
+    if (level === "good") quizLogDiv.classList.add("log-good");
+    if (level === "warn") quizLogDiv.classList.add("log-warn");
+    if (level === "bad") quizLogDiv.classList.add("log-bad");
+    quizLogDiv.textContent = message;
+  }
+
+  function setQuizStatus(msg) {
+    if (!quizStatusText) return;
+    quizStatusText.innerHTML = `Status: ${msg}`;
+  }
+
+  function updateQuizStats() {
+    if (!quizStatsText) return;
+    quizStatsText.textContent = `Correct: ${quizCorrectCount} • Mistakes: ${quizMistakeCount}`;
+  }
+
+  function quizAsksInversion() {
+    return !quizInversionsEl || quizInversionsEl.checked;
+  }
+
+  function quizQualities() {
+    const q = Object.keys(quizQualityEls).filter((k) => quizQualityEls[k] && quizQualityEls[k].checked);
+    return q.length ? q : [window.Triads.TriadQuality.MAJOR];
+  }
+
+  function quizInversions() {
+    const { TriadInversion } = window.Triads;
+    return quizAsksInversion() ? Object.values(TriadInversion) : [TriadInversion.ROOT_POSITION];
+  }
+
+  // Quality × inversion grid, coloured by accuracy
+  function renderQuizTally() {
+    if (!quizTallyEl) return;
+    const inversions = Object.values(window.Triads.TriadInversion);
+    const head = `<tr><th></th>${inversions.map((i) => `<th>${QUIZ_INVERSION_NAMES[i]}</th>`).join("")}</tr>`;
+    const rows = Object.values(window.Triads.TriadQuality).map((q) => {
+      const tds = inversions.map((i) => {
+        const entry = quizTally.entry(q, i);
+        if (!entry) return `<td class="heat-empty"></td>`;
+        const accuracy = Math.round((entry.correct / entry.attempts) * 100);
+        const title = `${q.toLowerCase()} ${QUIZ_INVERSION_NAMES[i]}: ${entry.correct}/${entry.attempts}`;
+        return `<td style="background:${window.StatsView.heatColor(accuracy)}" title="${title}">${accuracy}</td>`;
+      });
+      return `<tr><th>${q.toLowerCase()}</th>${tds.join("")}</tr>`;
+    });
+
+    const weakest = quizTally.weakest();
+    const note = weakest
+      ? `<p class="stats">Weakest: ${weakest.quality.toLowerCase()} ${QUIZ_INVERSION_NAMES[weakest.inversion]} ` +
+        `(${weakest.correct}/${weakest.attempts})</p>`
+      : "";
+    quizTallyEl.innerHTML = `<table class="heatmap">${head}${rows.join("")}</table>` + note;
+  }
+
+  function renderQuizPicks() {
+    [quizQualityBtns, quizInversionBtns].forEach((group) => {
+      if (!group) return;
+      group.querySelectorAll("button").forEach((btn) => {
+        const picked = btn.dataset.quality != null
+          ? btn.dataset.quality === quizPicked.quality
+          : Number(btn.dataset.inversion) === quizPicked.inversion;
+        btn.classList.toggle("selected", picked);
+      });
+    });
+    if (quizInversionBtns) quizInversionBtns.classList.toggle("hidden", !quizAsksInversion());
+  }
+
+  function playQuizChord() {
+    if (!quizChord) return;
+    const mode = quizPlayModeEl && quizPlayModeEl.value === "arpeggio"
+      ? window.Synth.PlayMode.ARPEGGIO
+      : window.Synth.PlayMode.BLOCK;
+    playReference(quizChord.midis, { mode });
+  }
+
+  function newQuizChord() {
+    const playable = window.Fretboard.positions().map((p) => p.midi);
+    quizChord = window.EarTraining.randomQuizChord(playable, {
+      qualities: quizQualities(),
+      inversions: quizInversions()
+    });
+    quizPicked = { quality: null, inversion: null };
+    quizAwaitingNext = false;
+    renderQuizPicks();
+    playQuizChord();
+    setQuizStatus(quizAsksInversion()
+      ? "Which quality and inversion? (or play the root)"
+      : "Which quality? (or play the root)");
+  }
+
+  // answer: { quality, inversion } from the buttons or { root } from the mic
+  function submitQuizAnswer(answer) {
+    const { triad } = quizChord;
+    const res = window.EarTraining.checkQuizAnswer(triad, answer);
+    quizTally.record(triad.quality, triad.inversion, res.correct);
+    if (res.correct) quizCorrectCount++;
+    else quizMistakeCount++;
+    updateQuizStats();
+    renderQuizTally();
+
+    let given;
+    if (answer.root != null) given = `root ${answer.root}`;
+    else {
+      given = answer.quality.toLowerCase();
+      if (answer.inversion != null) given += ` ${QUIZ_INVERSION_NAMES[answer.inversion]}`;
+    }
+    const reveal = `${triad.label()} — ${triad.spelledPitches().join(" ")}`;
+    if (res.correct) quizLog(`You said ${given} → ✅ ${reveal}`, "good");
+    else quizLog(`You said ${given} → ❌ It was ${reveal}`, "bad");
+
+    quizAwaitingNext = true;
+    setQuizStatus("Next chord coming…");
+    setTimeout(() => {
+      if (quizRunning) newQuizChord();
+    }, QUIZ_NEXT_DELAY_MS);
+  }
+
+  function pickQuizAnswer(changes) {
+    if (!quizRunning || !quizChord || quizAwaitingNext) return;
+    quizPicked = { ...quizPicked, ...changes };
+    renderQuizPicks();
+    if (quizPicked.quality == null) return;
+    if (quizAsksInversion() && quizPicked.inversion == null) return;
+    submitQuizAnswer({
+      quality: quizPicked.quality,
+      inversion: quizAsksInversion() ? quizPicked.inversion : null
+    });
+  }
+
+  function onQuizPitchDetected(freq) {
+    if (!quizRunning || !quizChord || quizAwaitingNext) return;
+    const midi = window.Fretboard.freqToMidi(freq);
+    if (midi == null) return;
+    submitQuizAnswer({ root: window.Fretboard.pitchClassName(Math.round(midi)) });
+  }
+
+  // The mic is optional here: without it the buttons still work
+  async function handleQuizStart() {
+    claimAudio("quiz");
+    try {
+      await startAudio(onQuizPitchDetected);
+      quizLog("Listening… answer with the buttons or play the root.", "info");
+    } catch (err) {
+      console.error(err);
+      quizLog("Mic unavailable (" + err.message + ").\nAnswer with the buttons.", "warn");
+    }
+    quizRunning = true;
+    quizCorrectCount = 0;
+    quizMistakeCount = 0;
+    updateQuizStats();
+    if (quizStartBtn) quizStartBtn.disabled = true;
+    if (quizStopBtn) quizStopBtn.disabled = false;
+    newQuizChord();
+  }
+
+  function handleQuizStop() {
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    quizRunning = false;
+    setQuizStatus("Stopped.");
+    quizLog("Stopped.", "info");
+    if (quizStartBtn) quizStartBtn.disabled = false;
+    if (quizStopBtn) quizStopBtn.disabled = true;
+  }
+
+  if (quizQualityBtns) {
+    quizQualityBtns.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-quality]");
+      if (btn) pickQuizAnswer({ quality: btn.dataset.quality });
+    });
+  }
+  if (quizInversionBtns) {
+    quizInversionBtns.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-inversion]");
+      if (btn) pickQuizAnswer({ inversion: Number(btn.dataset.inversion) });
+    });
+  }
+  if (quizInversionsEl) quizInversionsEl.addEventListener("change", renderQuizPicks);
+  if (quizReplayBtn) quizReplayBtn.addEventListener("click", playQuizChord);
+  if (quizResetBtn) {
+    quizResetBtn.addEventListener("click", () => {
+      if (!window.confirm("Reset the chord quiz accuracy stats?")) return;
+      quizTally.clear();
+      renderQuizTally();
+    });
+  }
+  if (quizStartBtn) quizStartBtn.addEventListener("click", handleQuizStart);
+  if (quizStopBtn) quizStopBtn.addEventListener("click", handleQuizStop);
+  registerPanel("quiz", () => {
+    quizRunning = false;
+    if (quizStartBtn) quizStartBtn.disabled = false;
+    if (quizStopBtn) quizStopBtn.disabled = true;
+  });
+
+  renderQuizPicks();
+  renderQuizTally();
+  updateQuizStats();
+
+  //
+  // ---------- PRACTICE STATS ----------
+  //
+  const statsRefreshBtn = document.getElementById("statsRefreshBtn");
+  const statsClearBtn = document.getElementById("statsClearBtn");
+
+  if (statsRefreshBtn) statsRefreshBtn.addEventListener("click", renderStats);
+  if (statsClearBtn) {
+    statsClearBtn.addEventListener("click", () => {
+      if (!window.confirm("Delete the whole practice history?")) return;
+      window.PracticeStore.clear();
+      if (statsSaveText) statsSaveText.textContent = "";
+      renderStats();
+    });
+  }
+
+  // ----- Export / import -----
+  const exportJsonBtn = document.getElementById("exportJsonBtn");
+  const exportCsvBtn = document.getElementById("exportCsvBtn");
+  const importBtn = document.getElementById("importBtn");
+  const importFile = document.getElementById("importFile");
+  const importSettingsEl = document.getElementById("importSettings");
+  const transferText = document.getElementById("transferText");
+
+  function setTransferText(msg) {
+    if (transferText) transferText.textContent = msg;
+  }
+
+  function download(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  function exportName(ext) {
+    return `guitarhelper-practice-${new Date().toISOString().slice(0, 10)}.${ext}`;
+  }
+
+  async function handleImport() {
+    const file = importFile && importFile.files[0];
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const format = /\.csv$/i.test(file.name) ? "csv" : /\.json$/i.test(file.name) ? "json" : undefined;
+      const added = window.PracticeExport.importText(text, {
+        format,
+        restoreSettings: !!(importSettingsEl && importSettingsEl.checked)
+      });
+      const skipped = added.total - added.attempts;
+      let msg = `Imported ${added.attempts} attempts and ${added.sessions} sessions from ${file.name}`;
+      if (skipped) msg += ` (${skipped} already here)`;
+      if (added.settings) msg += `. Restored ${added.settings} settings — reload the page to apply them`;
+      setTransferText(msg + ".");
+      renderStats();
+    } catch (err) {
+      setTransferText(`Import failed: ${err.message}`);
+    } finally {
+      importFile.value = "";
+    }
+  }
+
+  if (exportJsonBtn) {
+    exportJsonBtn.addEventListener("click", () =>
+      download(window.PracticeExport.toJson(), exportName("json"), "application/json"));
+  }
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener("click", () =>
+      download(window.PracticeExport.toCsv(), exportName("csv"), "text/csv"));
+  }
+  if (importBtn && importFile) {
+    importBtn.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", handleImport);
+  }
+
+  renderStats();
+
+  //
+  // ---------- TUNER ----------
+  //
+  const tunerStartBtn = document.getElementById("tunerStartBtn");
+  const tunerStopBtn = document.getElementById("tunerStopBtn");
+  const tunerModeEl = document.getElementById("tunerMode");
+  const tunerNoteEl = document.getElementById("tunerNote");
+  const tunerNeedleEl = document.getElementById("tunerNeedle");
+  const tunerReadoutEl = document.getElementById("tunerReadout");
+  const tunerStatusText = document.getElementById("tunerStatusText");
+
+  const TUNER_IN_TUNE_CENTS = 5;
+  const TUNER_NEEDLE_MAX_DEG = 45;   // needle swing at ±50 cents
+  const TUNER_SMOOTHING = 0.3;       // EMA weight of each new frame
+
+  let tunerMidi = null;              // smoothed fractional MIDI
+
+  function setTunerStatus(msg) {
+    if (!tunerStatusText) return;
+    tunerStatusText.innerHTML = `Status: ${msg}`;
+  }
+
+  // Chromatic: nearest semitone. Strings: nearest open string of the
+  // active tuning (capo included), so players can tune before a drill.
+  function tunerReference(midi) {
+    if (tunerModeEl && tunerModeEl.value === "strings") {
+      const tuning = window.Fretboard.getTuning().strings;
+      const capo = window.Fretboard.getCapo();
+      let best = null;
+      for (const key in tuning) {
+        const refMidi = tuning[key] + capo;
+        if (!best || Math.abs(midi - refMidi) < Math.abs(midi - best.midi)) {
+          best = { midi: refMidi, label: `String ${key} · ` };
+        }
+      }
+      return best;
+    }
+    return { midi: Math.round(midi), label: "" };
+  }
+
+  function renderTuner(freq) {
+    if (freq == null) {
+      tunerMidi = null;
+      if (tunerNoteEl) {
+        tunerNoteEl.textContent = "–";
+        tunerNoteEl.classList.remove("in-tune");
+      }
+      if (tunerNeedleEl) tunerNeedleEl.style.transform = "rotate(0deg)";
+      if (tunerReadoutEl) tunerReadoutEl.textContent = "– Hz · – ¢";
+      return;
+    }
+
+    const midi = window.Fretboard.freqToMidi(freq);
+    // Jump straight to a new note; only smooth within the same note
+    if (tunerMidi == null || Math.abs(midi - tunerMidi) > 0.5) tunerMidi = midi;
+    else tunerMidi += TUNER_SMOOTHING * (midi - tunerMidi);
+
+    const ref = tunerReference(tunerMidi);
+    const cents = Math.max(-99, Math.min(99, (tunerMidi - ref.midi) * 100));
+    const inTune = Math.abs(cents) <= TUNER_IN_TUNE_CENTS;
+    const hz = 440 * Math.pow(2, (tunerMidi - 69) / 12);
+
+    if (tunerNoteEl) {
+      tunerNoteEl.textContent = ref.label + window.Fretboard.midiToNoteName(ref.midi);
+      tunerNoteEl.classList.toggle("in-tune", inTune);
+    }
+    if (tunerNeedleEl) {
+      const deg = (Math.max(-50, Math.min(50, cents)) / 50) * TUNER_NEEDLE_MAX_DEG;
+      tunerNeedleEl.style.transform = `rotate(${deg.toFixed(1)}deg)`;
+    }
+    if (tunerReadoutEl) {
+      const sign = cents > 0 ? "+" : "";
+      tunerReadoutEl.textContent = `${hz.toFixed(1)} Hz · ${sign}${cents.toFixed(0)} ¢`;
+    }
+  }
+
+  async function handleTunerStart() {
+    try {
+      setTunerStatus("Requesting mic permission…");
+      claimAudio("tuner");
+      await startAudio(() => {}, { onTrack: (freq) => renderTuner(freq) });
+
+      setTunerStatus("Listening… play a single string.");
+      if (tunerStartBtn) tunerStartBtn.disabled = true;
+      if (tunerStopBtn) tunerStopBtn.disabled = false;
+    } catch (err) {
+      console.error(err);
+      setTunerStatus("Mic error. Check permissions and default input device.");
+    }
+  }
+
+  function handleTunerStop() {
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    renderTuner(null);
+    setTunerStatus("Mic stopped.");
+    if (tunerStartBtn) tunerStartBtn.disabled = false;
+    if (tunerStopBtn) tunerStopBtn.disabled = true;
+  }
+
+  if (tunerStartBtn) tunerStartBtn.addEventListener("click", handleTunerStart);
+  if (tunerStopBtn) tunerStopBtn.addEventListener("click", handleTunerStop);
+  registerPanel("tuner", () => {
+    renderTuner(null);
+    if (tunerStartBtn) tunerStartBtn.disabled = false;
+    if (tunerStopBtn) tunerStopBtn.disabled = true;
+  });
+
+  renderTuner(null);
+
+  //
+  // ---------- METRONOME ----------
+  //
+  const metronomeStartBtn = document.getElementById("metronomeStartBtn");
+  const metronomeStopBtn = document.getElementById("metronomeStopBtn");
+  const bpmInput = document.getElementById("bpmInput");
+  const timeSignatureSelect = document.getElementById("timeSignatureSelect");
+  const subdivisionSelect = document.getElementById("subdivisionSelect");
+  const accentEl = document.getElementById("metronomeAccent");
+  const latencyInput = document.getElementById("latencyInput");
+  const metronomeBeats = document.getElementById("metronomeBeats");
+
+  function saveMetronome(changes) {
+    window.Settings.set(METRONOME_SETTING, { ...window.Settings.get(METRONOME_SETTING, {}), ...changes });
+  }
+
+  function renderBeatLights(current = -1) {
+    if (!metronomeBeats) return;
+    const { beatsPerBar } = metronome.getOptions();
+    let html = "";
+    for (let b = 0; b < beatsPerBar; b++) {
+      const cls = "beat-light" + (b === 0 ? " accent" : "") + (b === current ? " on" : "");
+      html += `<span class="${cls}"></span>`;
+    }
+    metronomeBeats.innerHTML = html;
+  }
+
+  function startMetronome() {
+    metronome.start();
+    if (metronomeStartBtn) metronomeStartBtn.disabled = true;
+    if (metronomeStopBtn) metronomeStopBtn.disabled = false;
+  }
+
+  function stopMetronome() {
+    metronome.stop();
+    if (metronomeStartBtn) metronomeStartBtn.disabled = false;
+    if (metronomeStopBtn) metronomeStopBtn.disabled = true;
+    renderBeatLights();
+  }
+
+  // "6/8" → 6 beats of eighths; BPM always counts quarter notes
+  function applyTimeSignature(value) {
+    const [beatsPerBar, beatUnit] = value.split("/").map((n) => parseInt(n, 10));
+    metronome.configure({ beatsPerBar, beatUnit });
+    saveMetronome({ beatsPerBar, beatUnit });
+    renderBeatLights();
+  }
+
+  function initMetronome() {
+    const opts = metronome.getOptions();
+    const saved = window.Settings.get(METRONOME_SETTING, {});
+
+    if (bpmInput) {
+      bpmInput.min = window.Metronome.MIN_BPM;
+      bpmInput.max = window.Metronome.MAX_BPM;
+      bpmInput.value = opts.bpm;
+      bpmInput.addEventListener("change", () => {
+        metronome.configure({ bpm: bpmInput.value });
+        bpmInput.value = metronome.getOptions().bpm;
+        saveMetronome({ bpm: metronome.getOptions().bpm });
+      });
+    }
+    if (timeSignatureSelect) {
+      timeSignatureSelect.value = `${opts.beatsPerBar}/${opts.beatUnit}`;
+      if (!timeSignatureSelect.value) timeSignatureSelect.value = "4/4";
+      timeSignatureSelect.addEventListener("change", () => applyTimeSignature(timeSignatureSelect.value));
+    }
+    if (subdivisionSelect) {
+      subdivisionSelect.value = String(opts.subdivision);
+      subdivisionSelect.addEventListener("change", () => {
+        metronome.configure({ subdivision: subdivisionSelect.value });
+        saveMetronome({ subdivision: metronome.getOptions().subdivision });
+      });
+    }
+    if (accentEl) {
+      accentEl.checked = opts.accent;
+      accentEl.addEventListener("change", () => {
+        metronome.configure({ accent: accentEl.checked });
+        saveMetronome({ accent: accentEl.checked });
+      });
+    }
+    if (latencyInput) {
+      latencyInput.value = saved.latencyMs || 0;
+      latencyInput.addEventListener("change", () => saveMetronome({ latencyMs: Number(latencyInput.value) || 0 }));
+    }
+
+    metronome.onTick((tick) => {
+      if (tick.sub === 0) renderBeatLights(tick.beat);
+    });
+
+    if (metronomeStartBtn) metronomeStartBtn.addEventListener("click", startMetronome);
+    if (metronomeStopBtn) metronomeStopBtn.addEventListener("click", stopMetronome);
+    renderBeatLights();
+  }
+
+  initMetronome();
+
+  //
+  // ---------- SETUP (instrument + tuning + capo) ----------
+  //
+  const instrumentSelect = document.getElementById("instrumentSelect");
+  const detectorSelect = document.getElementById("detectorSelect");
+  const tuningSelect = document.getElementById("tuningSelect");
+  const capoSelect = document.getElementById("capoSelect");
+  const customTuningRow = document.getElementById("customTuningRow");
+  const customTuningInput = document.getElementById("customTuningInput");
+  const applyTuningBtn = document.getElementById("applyTuningBtn");
+  const tuningText = document.getElementById("tuningText");
+
+  function updateTuningText(error) {
+    if (!tuningText) return;
+    if (error) {
+      tuningText.textContent = "Tuning error: " + error;
+      return;
+    }
+    const tuning = window.Fretboard.getTuning();
+    const capo = window.Fretboard.getCapo();
+    const instrument = window.Fretboard.getInstrument();
+    tuningText.textContent =
+      `${instrument.label} • Tuning: ${tuning.label}` + (capo ? ` • Capo ${capo}` : "");
+  }
+
+  function applyInstrumentToAudio() {
+    const { minF0, maxF0 } = window.Fretboard.getInstrument();
+    window.AudioEngine.configure({ minF0, maxF0 });
+  }
+
+  function renderTuningOptions() {
+    if (!tuningSelect) return;
+    const options = window.Fretboard.listTunings()
+      .concat([{ id: window.Fretboard.CUSTOM_TUNING_ID, label: "Custom…" }]);
+    tuningSelect.innerHTML = options
+      .map((t) => `<option value="${t.id}">${t.label}</option>`)
+      .join("");
+    tuningSelect.value = window.Fretboard.getTuning().id;
+    if (customTuningRow) customTuningRow.hidden = true;
+    if (customTuningInput) {
+      const count = window.Fretboard.getInstrument().stringCount;
+      customTuningInput.placeholder = `${count} notes, low → high`;
+    }
+  }
+
+  // Targets were built from the old tuning → re-roll whatever is running
+  function refreshTargetsAfterTuningChange() {
+    noteDiagram.render();
+    triadDiagram.render();
+    updateSrsText();
+    renderStats();
+
+    if (startBtn && startBtn.disabled) setNewRandomTarget(true);
+    else if (target) {
+      target = null;
+      updateTargetDisplay();
+    }
+
+    if (triadStartBtn && triadStartBtn.disabled) newTriad(true);
+    else if (currentTriad) updateTriadTargetDisplay();
+
+    // The scale's string and root fret belong to the old fretboard
+    if (scaleStartBtn && scaleStartBtn.disabled) newScale();
+    else if (currentScale) {
+      currentScale = null;
+      scaleSession = null;
+      updateScaleTargetDisplay();
+      if (scaleLightsEl) scaleLightsEl.innerHTML = "";
+    }
+
+    intervalDiagram.render();
+    if (intervalStartBtn && intervalStartBtn.disabled) newInterval();
+    else if (intervalRootPos) {
+      intervalRootPos = null;
+      intervalDiagram.clear();
+    }
+
+    // Quiz chords and ear phrases are drawn from the playable range
+    if (quizRunning) newQuizChord();
+    else quizChord = null;
+
+    if (earStartBtn && earStartBtn.disabled) newEarPhrase();
+    else earSession = null;
+  }
+
+  // ----- Audio input (device + channel, remembered between sessions) -----
+  const deviceSelect = document.getElementById("deviceSelect");
+  const channelSelect = document.getElementById("channelSelect");
+  const levelMeter = document.getElementById("levelMeter");
+
+  const INPUT_SETTING = "audioInput";
+  const MAX_METER_CHANNELS = 8;
+
+  function savedInput() {
+    const saved = window.Settings.get(INPUT_SETTING, {});
+    return {
+      deviceId: saved.deviceId || null,
+      channel: saved.channel != null ? saved.channel : "default"
+    };
+  }
+
+  function saveInput(changes) {
+    window.Settings.set(INPUT_SETTING, { ...savedInput(), ...changes });
+  }
+
+  function channelValue(raw) {
+    return raw === "default" || raw === "mix" ? raw : parseInt(raw, 10);
+  }
+
+  function renderChannelOptions(channelCount = 2) {
+    if (!channelSelect) return;
+    const options = [
+      { value: "default", label: "Default" },
+      { value: "mix", label: "Mono mixdown" }
+    ];
+    for (let c = 0; c < channelCount; c++) options.push({ value: String(c), label: `Input ${c + 1}` });
+
+    channelSelect.innerHTML = options
+      .map((o) => `<option value="${o.value}">${o.label}</option>`)
+      .join("");
+    const current = String(savedInput().channel);
+    channelSelect.value = options.some((o) => o.value === current) ? current : "default";
+  }
+
+  async function refreshDeviceList() {
+    if (!deviceSelect) return;
+    let devices = [];
+    try {
+      devices = await window.AudioEngine.listInputDevices();
+    } catch (err) {
+      console.warn("Could not list input devices:", err);
+    }
+
+    // Labels come from the system: set as text, never parsed as HTML
+    const options = [{ deviceId: "", label: "System default" }].concat(devices).map((d) => {
+      const option = document.createElement("option");
+      option.value = d.deviceId;
+      option.textContent = d.label;
+      return option;
+    });
+    deviceSelect.replaceChildren(...options);
+    const current = savedInput().deviceId || "";
+    deviceSelect.value = devices.some((d) => d.deviceId === current) ? current : "";
+  }
+
+  function handleLevels(levels) {
+    renderLevels(levels.channels);
+    if (calibration) feedCalibration(levels);
+  }
+
+  // One bar per channel; the analysed channel is highlighted
+  function renderLevels(levels) {
+    if (!levelMeter || !levels) return;
+    const count = Math.min(levels.length, MAX_METER_CHANNELS);
+    if (channelSelect && channelSelect.options.length !== count + 2) renderChannelOptions(count);
+
+    const selected = window.AudioEngine.getInput().channel;
+    const rows = [];
+    for (let c = 0; c < count; c++) {
+      // -60 dBFS … 0 dBFS → 0 … 100 %
+      const db = 20 * Math.log10(Math.max(levels[c], 1e-6));
+      const pct = Math.max(0, Math.min(100, ((db + 60) / 60) * 100));
+      const isSelected = selected === "mix" || selected === c;
+      rows.push(
+        `<div class="level-row${isSelected ? " selected" : ""}">` +
+        `<span class="level-name">Input ${c + 1}</span>` +
+        `<span class="level-bar"><span class="level-fill" style="width:${pct.toFixed(0)}%"></span></span>` +
+        `</div>`
+      );
+    }
+    levelMeter.innerHTML = rows.join("");
+  }
+
+  function initInputSelection() {
+    renderChannelOptions();
+    refreshDeviceList();
+
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener("devicechange", refreshDeviceList);
+    }
+
+    if (deviceSelect) {
+      deviceSelect.addEventListener("change", () => {
+        const deviceId = deviceSelect.value || null;
+        saveInput({ deviceId });
+        window.AudioEngine.setInput({ deviceId });
+        applyCalibration();
+        updateCalibrationText();
+        if (levelMeter) levelMeter.innerHTML = "";
+        restartAudio().catch((err) => updateTuningText(err.message));
+      });
+    }
+
+    if (channelSelect) {
+      channelSelect.addEventListener("change", () => {
+        const channel = channelValue(channelSelect.value);
+        saveInput({ channel });
+        window.AudioEngine.setInput({ channel });
+      });
+    }
+  }
+
+  // ----- Noise-floor calibration (gate thresholds per input device) -----
+  const calibrateBtn = document.getElementById("calibrateBtn");
+  const resetCalibrationBtn = document.getElementById("resetCalibrationBtn");
+  const calibrationText = document.getElementById("calibrationText");
+
+  const CALIBRATION_SETTING = "calibration";
+
+  let calibration = null;
+
+  function calibrationKey() {
+    return savedInput().deviceId || "default";
+  }
+
+  function savedCalibration() {
+    const all = window.Settings.get(CALIBRATION_SETTING, {});
+    return all[calibrationKey()] || null;
+  }
+
+  // Defaults first so switching to an uncalibrated device drops old values
+  function applyCalibration() {
+    const saved = savedCalibration();
+    window.AudioEngine.configure({ ...window.AudioEngine.getDefaultGateConfig(), ...(saved || {}) });
+  }
+
+  function updateCalibrationText(message) {
+    if (!calibrationText) return;
+    if (message) {
+      calibrationText.textContent = message;
+      return;
+    }
+    const saved = savedCalibration();
+    calibrationText.textContent = saved
+      ? `Calibrated ${new Date(saved.calibratedAt).toLocaleDateString()} • ` +
+        `gate on ${saved.rmsOn.toFixed(4)} RMS, hold ${saved.sustainMs} ms`
+      : "Gate: default thresholds (not calibrated for this input).";
+  }
+
+  async function handleCalibrate() {
+    // Calibration needs the mic to itself
+    claimAudio("calibration");
+
+    try {
+      if (calibrateBtn) calibrateBtn.disabled = true;
+      updateCalibrationText("Requesting mic permission…");
+
+      // Measure with the defaults so an old calibration can't mask the room
+      calibration = new window.Calibration.CalibrationSession();
+      await startAudio(() => {});
+      window.AudioEngine.configure(window.AudioEngine.getDefaultGateConfig());
+      updateCalibrationText("Step 1/2: stay quiet for a few seconds — measuring room noise…");
+    } catch (err) {
+      console.error(err);
+      finishCalibration(`Calibration failed: ${err.message}`);
+    }
+  }
+
+  function feedCalibration(levels) {
+    const { CalibrationPhase } = window.Calibration;
+    if (!calibration.addFrame(levels)) return;
+
+    if (calibration.phase === CalibrationPhase.PLUCKS) {
+      updateCalibrationText(`Step 2/2: pluck ${calibration.pluckCount} single notes, letting each ring…`);
+      return;
+    }
+
+    if (calibration.phase === CalibrationPhase.DONE) {
+      const all = window.Settings.get(CALIBRATION_SETTING, {});
+      all[calibrationKey()] = { ...calibration.config, calibratedAt: Date.now() };
+      window.Settings.set(CALIBRATION_SETTING, all);
+      finishCalibration();
+      return;
+    }
+
+    finishCalibration(`Calibration failed: ${calibration.error}`);
+  }
+
+  function finishCalibration(message) {
+    calibration = null;
+    window.AudioEngine.stop();
+    if (levelMeter) levelMeter.innerHTML = "";
+    if (calibrateBtn) calibrateBtn.disabled = false;
+    applyCalibration();
+    updateCalibrationText(message);
+  }
+
+  function initCalibration() {
+    if (calibrateBtn) calibrateBtn.addEventListener("click", handleCalibrate);
+    // Starting a trainer mid-way abandons the calibration
+    registerPanel("calibration", () => {
+      if (!calibration) return;
+      calibration = null;
+      if (calibrateBtn) calibrateBtn.disabled = false;
+      updateCalibrationText("Calibration cancelled.");
+    });
+    if (resetCalibrationBtn) {
+      resetCalibrationBtn.addEventListener("click", () => {
+        const all = window.Settings.get(CALIBRATION_SETTING, {});
+        delete all[calibrationKey()];
+        window.Settings.set(CALIBRATION_SETTING, all);
+        applyCalibration();
+        updateCalibrationText();
+      });
+    }
+    applyCalibration();
+    updateCalibrationText();
+  }
+
+  function applyCustomTuning() {
+    try {
+      window.Fretboard.setCustomTuning(customTuningInput ? customTuningInput.value : "");
+      updateTuningText();
+      refreshTargetsAfterTuningChange();
+    } catch (err) {
+      updateTuningText(err.message);
+    }
+  }
+
+  function initSetup() {
+    if (instrumentSelect) {
+      instrumentSelect.innerHTML = window.Fretboard.listInstruments()
+        .map((i) => `<option value="${i.id}">${i.label}</option>`)
+        .join("");
+      instrumentSelect.value = window.Fretboard.getInstrument().id;
+
+      instrumentSelect.addEventListener("change", () => {
+        window.Fretboard.setInstrument(instrumentSelect.value);
+        renderTuningOptions();
+        if (capoSelect) capoSelect.value = String(window.Fretboard.getCapo());
+        applyInstrumentToAudio();
+        updateTuningText();
+        refreshTargetsAfterTuningChange();
+        // The analysis buffer is sized for the lowest note when audio starts
+        restartAudio().catch((err) => updateTuningText(err.message));
+      });
+    }
+
+    if (tuningSelect) {
+      renderTuningOptions();
+
+      tuningSelect.addEventListener("change", () => {
+        const isCustom = tuningSelect.value === window.Fretboard.CUSTOM_TUNING_ID;
+        if (customTuningRow) customTuningRow.hidden = !isCustom;
+        if (isCustom) return; // applied with the button
+
+        window.Fretboard.setTuning(tuningSelect.value);
+        updateTuningText();
+        refreshTargetsAfterTuningChange();
+      });
+    }
+
+    if (capoSelect) {
+      const frets = [];
+      for (let f = 0; f <= window.Fretboard.MAX_CAPO; f++) frets.push(f);
+      capoSelect.innerHTML = frets
+        .map((f) => `<option value="${f}">${f === 0 ? "None" : "Fret " + f}</option>`)
+        .join("");
+      capoSelect.value = String(window.Fretboard.getCapo());
+
+      capoSelect.addEventListener("change", () => {
+        window.Fretboard.setCapo(capoSelect.value);
+        updateTuningText();
+        refreshTargetsAfterTuningChange();
+      });
+    }
+
+    if (detectorSelect) {
+      detectorSelect.innerHTML = window.AudioEngine.listDetectors()
+        .map((d) => `<option value="${d.id}">${d.label}</option>`)
+        .join("");
+
+      detectorSelect.addEventListener("change", () => {
+        window.AudioEngine.configure({ detector: detectorSelect.value });
+      });
+    }
+
+    if (applyTuningBtn) applyTuningBtn.addEventListener("click", applyCustomTuning);
+    applyInstrumentToAudio();
+    updateTuningText();
+  }
+
+  initSetup();
+  initInputSelection();
+  initCalibration();
 })();
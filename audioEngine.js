@@ -1,23 +1,23 @@
 // audioEngine.js
+// Mic input + note events. Analysis runs in an AudioWorklet when the
+// browser has one (pitchWorklet.js), otherwise in a ScriptProcessor on the
+// main thread. Both paths share the detector and gate from pitchCore.js.
 (function () {
-  // -----------------------------
-  // Pitch detection range
-  // -----------------------------
-  const MIN_F0 = 70;
-  const MAX_F0 = 1000;
-
-  // ScriptProcessor buffer
+  // ScriptProcessor / worklet analysis frame (grown for low instruments,
+  // see bufferSizeFor)
   const BUFFER_SIZE = 2048;
+  const MAX_BUFFER_SIZE = 8192;
+
+  // Autocorrelation wants a couple of periods of the lowest note per buffer
+  const MIN_PERIODS_PER_BUFFER = 2.5;
 
   // Your existing peak amplitude gate (kept)
   const AMPLITUDE_THRESHOLD = 0.05;
 
-  // -----------------------------
-  // Sustain gate tuning
-  // -----------------------------
-  const SUSTAIN_MS = 140;       // pitch must be stable this long to count
-  const STABLE_CENTS = 25;      // allowable drift while "stable"
-  const REARM_MS = 120;         // cooldown after a trigger
+  const WORKLET_NAME = "pitch-processor";
+
+  // Resolve worklet modules next to this script, not the page
+  const SCRIPT_URL = (document.currentScript && document.currentScript.src) || location.href;
 
   // Basic iOS detection
   const IS_IOS =
@@ -26,172 +26,374 @@
   // Slightly lower threshold on iOS where input is quieter
   const EFFECTIVE_AMPLITUDE_THRESHOLD = IS_IOS ? 0.02 : AMPLITUDE_THRESHOLD;
 
-  // Sustain gate: derive RMS thresholds from the same knob you already tune.
-  // RMS is usually lower than peak, so scale down.
-  const RMS_ON = EFFECTIVE_AMPLITUDE_THRESHOLD * 0.55;   // start tracking
-  const RMS_OFF = EFFECTIVE_AMPLITUDE_THRESHOLD * 0.45;  // keep tracking (hysteresis)
+  // -----------------------------
+  // Runtime config (handed to the PitchTracker on either thread)
+  // -----------------------------
+  // Gate defaults before any calibration
+  const DEFAULT_GATE = Object.freeze({
+    amplitudeThreshold: EFFECTIVE_AMPLITUDE_THRESHOLD,
+    // Sustain gate: derive RMS thresholds from the same knob you already tune.
+    rmsOn: EFFECTIVE_AMPLITUDE_THRESHOLD * 0.55,   // start tracking
+    rmsOff: EFFECTIVE_AMPLITUDE_THRESHOLD * 0.45,  // keep tracking (hysteresis)
+    sustainMs: window.PitchCore.DEFAULT_CONFIG.sustainMs,
+    stableCents: window.PitchCore.DEFAULT_CONFIG.stableCents,
+    rearmMs: window.PitchCore.DEFAULT_CONFIG.rearmMs
+  });
+
+  const config = { ...window.PitchCore.DEFAULT_CONFIG, ...DEFAULT_GATE };
 
   // -----------------------------
   // WebAudio state
   // -----------------------------
+  // The context outlives start()/stop(): the metronome schedules on the
+  // same clock the note onsets are measured in.
   let audioCtx = null;
+  let workletModules = null; // addModule() promise, once per context
   let mediaStream = null;
   let sourceNode = null;
   let gainNode = null;
   let processorNode = null;
-  let sampleRate = 44100;
+  let muteNode = null;
+  let workletNode = null;
+  let tracker = null;
   let onPitch = null;
+  let onLevels = null;
+  let onTrack = null;
+  let wasTracking = false;
+  let onChord = null;
+  let strums = null;
 
-  // -----------------------------
-  // Sustain gate state
-  // -----------------------------
-  let stableMs = 0;
-  let lastFreq = null;
-  let locked = false;
-  let lastFireAt = 0;
+  // Input selection: deviceId (null = browser default) and channel
+  // ("default", "mix" or a 0-based channel index)
+  let deviceId = null;
+  let channelSelection = "default";
+
+  // Context time until which detections are dropped (our own playback)
+  let suppressUntil = 0;
 
   // -----------------------------
   // Helpers
   // -----------------------------
-  function rms(buffer) {
-    let sum = 0;
-    for (let i = 0; i < buffer.length; i++) {
-      const x = buffer[i];
-      sum += x * x;
-    }
-    return Math.sqrt(sum / buffer.length);
+  function bufferSizeFor(rate) {
+    const wanted = (rate / config.minF0) * MIN_PERIODS_PER_BUFFER;
+    let size = BUFFER_SIZE;
+    while (size < wanted && size < MAX_BUFFER_SIZE) size *= 2;
+    return size;
   }
 
-  function centsDiff(f1, f2) {
-    return 1200 * Math.log2(f1 / f2);
+  // "default" keeps the old behaviour — iOS: true mono. Desktop: prefer
+  // channel 1 (right / Input 2 on many interfaces)
+  function preferredChannel() {
+    if (channelSelection !== "default") return channelSelection;
+    return IS_IOS ? 0 : 1;
   }
 
-  function resetGate() {
-    stableMs = 0;
-    lastFreq = null;
-    locked = false;
+  // Simple + compatible constraint unless a specific device is picked;
+  // interfaces then get raw stereo without voice processing.
+  function audioConstraints() {
+    if (!deviceId) return { audio: true };
+    return {
+      audio: {
+        deviceId: { exact: deviceId },
+        channelCount: { ideal: 2 },
+        echoCancellation: false,
+        noiseSuppression: false,
+        autoGainControl: false
+      }
+    };
+  }
+
+  // Anything that started while the app itself was making sound
+  function isSuppressed(onsetMs) {
+    if (!suppressUntil || !audioCtx) return false;
+    const time = onsetMs != null ? onsetMs / 1000 : audioCtx.currentTime;
+    return time < suppressUntil || audioCtx.currentTime < suppressUntil;
+  }
+
+  function emitNote(note) {
+    if (!onPitch || isSuppressed(note.onsetMs)) return;
+    // ✅ Trigger your app with the sustained pitch
+    onPitch(note.freq, {
+      confidence: note.confidence,
+      detector: note.detector,
+      onsetTime: note.onsetMs != null ? note.onsetMs / 1000 : null
+    });
+  }
+
+  function emitChord(chord) {
+    if (isSuppressed(chord.onsetMs)) return;
+    onChord({
+      chroma: chord.chroma,
+      bassPc: chord.bassPc,
+      bassFreq: chord.bassFreq,
+      onsetTime: chord.onsetMs != null ? chord.onsetMs / 1000 : null
+    });
   }
 
   // -----------------------------
   // Public API
   // -----------------------------
-  async function start(onPitchDetected) {
-    if (audioCtx) return;
-    onPitch = onPitchDetected;
+  // Detection window from the instrument profile plus detector choice.
+  // Everything applies immediately, except that a larger buffer for low
+  // instruments needs a restart.
+  function configure(options = {}) {
+    if (options.detector != null && !listDetectors().some((d) => d.id === options.detector)) {
+      throw new Error(`Unknown pitch detector: ${options.detector}`);
+    }
+    for (const key in options) {
+      if (options[key] == null || !(key in config)) continue;
+      config[key] = options[key];
+    }
+    if (tracker) tracker.configure(config);
+    if (strums) strums.configure(config);
+    if (workletNode) workletNode.port.postMessage({ type: "config", config: { ...config } });
+  }
+
+  function getConfig() {
+    return { ...config };
+  }
 
-    // Simple + compatible constraint
-    mediaStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  // Gate values (amplitudeThreshold, rmsOn/rmsOff, sustainMs, stableCents,
+  // rearmMs) this platform starts with; calibration overrides them.
+  function getDefaultGateConfig() {
+    return { ...DEFAULT_GATE };
+  }
 
-    audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-    sampleRate = audioCtx.sampleRate;
+  function listDetectors() {
+    return window.PitchCore.listDetectors();
+  }
 
+  // Needs mic permission first for labels to be filled in
+  async function listInputDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === "audioinput")
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Input device ${i + 1}` }));
+  }
+
+  // Channel changes apply live; a different device needs a restart.
+  function setInput(options = {}) {
+    if (options.deviceId !== undefined) deviceId = options.deviceId || null;
+    if (options.channel != null) {
+      channelSelection = options.channel;
+      if (workletNode) workletNode.port.postMessage({ type: "channel", channel: preferredChannel() });
+      if (tracker) tracker.reset();
+    }
+  }
+
+  function getInput() {
+    return { deviceId, channel: channelSelection };
+  }
+
+  // True while the mic is open (the shared context may run without it)
+  function isRunning() {
+    return !!mediaStream;
+  }
+
+  // Shared AudioContext, created on first use. Call from a user gesture
+  // the first time so browsers let it start.
+  function getContext() {
+    if (!audioCtx) {
+      audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      workletModules = null;
+    }
     // iOS often starts suspended
-    if (audioCtx.state === "suspended") {
-      await audioCtx.resume();
+    if (audioCtx.state === "suspended") audioCtx.resume();
+    return audioCtx;
+  }
+
+  // Seconds between a sound and its capture that the browser knows of:
+  // output (scheduled → audible) and input (audible → analysed)
+  function getLatency() {
+    const ctx = audioCtx;
+    const output = ctx ? (ctx.outputLatency || ctx.baseLatency || 0) : 0;
+    let input = 0;
+    if (mediaStream) {
+      const track = mediaStream.getAudioTracks()[0];
+      const settings = track && track.getSettings ? track.getSettings() : {};
+      input = settings.latency || 0;
+    }
+    return { output, input };
+  }
+
+  // Ignore detected notes/strums until the given context time, e.g. the
+  // end of a reference tone, so the mic doesn't score the app's own sound
+  function suppressInputUntil(contextTime) {
+    suppressUntil = Math.max(suppressUntil, contextTime || 0);
+  }
+
+  function clearSuppression() {
+    suppressUntil = 0;
+  }
+
+  function supportsWorklet() {
+    return !!(audioCtx && audioCtx.audioWorklet && typeof window.AudioWorkletNode === "function");
+  }
+
+  // onPitchDetected(freq, { confidence, detector }) fires once per
+  // sustained note. Options: detector, deviceId, channel, any gate value
+  // from getConfig(), onLevels({ channels, rms, peak, frameMs }) once per
+  // analysis frame for meters and calibration, onTrack(freq|null,
+  // { confidence }) for continuous pitch (tuner), and onChord({ chroma,
+  // bassPc, bassFreq, onsetTime }) once per strum (chroma: 12 pitch-class
+  // weights from C, loudest = 1). Notes carry onsetTime too: when they
+  // started sounding, in getContext().currentTime seconds.
+  async function start(onPitchDetected, options = {}) {
+    if (mediaStream) return;
+    onPitch = onPitchDetected;
+    onLevels = options.onLevels || null;
+    onTrack = options.onTrack || null;
+    onChord = options.onChord || null;
+    wasTracking = false;
+    configure(options);
+    setInput(options);
+
+    try {
+      mediaStream = await navigator.mediaDevices.getUserMedia(audioConstraints());
+    } catch (err) {
+      // Remembered device was unplugged → fall back to the default input
+      if (!deviceId || (err.name !== "OverconstrainedError" && err.name !== "NotFoundError")) throw err;
+      console.warn("Selected input device unavailable, using default:", err);
+      deviceId = null;
+      mediaStream = await navigator.mediaDevices.getUserMedia(audioConstraints());
     }
 
+    getContext();
+    if (audioCtx.state === "suspended") await audioCtx.resume();
+
     sourceNode = audioCtx.createMediaStreamSource(mediaStream);
 
     // Boost a bit on iOS
     gainNode = audioCtx.createGain();
     gainNode.gain.value = IS_IOS ? 3.0 : 1.0;
+    sourceNode.connect(gainNode);
+
+    if (supportsWorklet()) {
+      try {
+        await startWorklet();
+        return;
+      } catch (err) {
+        console.warn("AudioWorklet unavailable, falling back to ScriptProcessor:", err);
+      }
+    }
+    startScriptProcessor();
+  }
+
+  // Analysis off the main thread; the node has no outputs, so nothing
+  // from the input can reach the speakers.
+  async function startWorklet() {
+    if (!workletModules) {
+      workletModules = audioCtx.audioWorklet.addModule(new URL("pitchCore.js", SCRIPT_URL).href)
+        .then(() => audioCtx.audioWorklet.addModule(new URL("pitchWorklet.js", SCRIPT_URL).href));
+      workletModules.catch(() => { workletModules = null; });
+    }
+    await workletModules;
+
+    workletNode = new AudioWorkletNode(audioCtx, WORKLET_NAME, {
+      numberOfInputs: 1,
+      numberOfOutputs: 0,
+      processorOptions: {
+        bufferSize: bufferSizeFor(audioCtx.sampleRate),
+        channel: preferredChannel(),
+        tracking: !!onTrack,
+        chords: !!onChord,
+        config: { ...config }
+      }
+    });
+
+    workletNode.port.onmessage = (event) => {
+      const msg = event.data || {};
+      if (msg.type === "note") emitNote(msg);
+      if (msg.type === "levels" && onLevels) onLevels(msg);
+      if (msg.type === "track" && onTrack) onTrack(msg.freq, { confidence: msg.confidence });
+      if (msg.type === "chord" && onChord) emitChord(msg);
+    };
+
+    gainNode.connect(workletNode);
+  }
 
-    // iOS: true mono, Desktop: keep stereo so Focusrite stays happy
+  // Fallback for browsers without AudioWorklet (deprecated API)
+  function startScriptProcessor() {
     const inputChannels = IS_IOS ? 1 : 2;
     const outputChannels = IS_IOS ? 1 : 2;
 
+    tracker = new window.PitchCore.PitchTracker(audioCtx.sampleRate, config);
+    strums = onChord ? new window.PitchCore.StrumDetector(audioCtx.sampleRate, config) : null;
+
     processorNode = audioCtx.createScriptProcessor(
-      BUFFER_SIZE,
+      bufferSizeFor(audioCtx.sampleRate),
       inputChannels,
       outputChannels
     );
 
-    sourceNode.connect(gainNode);
+    // ScriptProcessor only runs while connected to the destination;
+    // route it through a silent gain so the input never leaks out.
+    muteNode = audioCtx.createGain();
+    muteNode.gain.value = 0;
+
     gainNode.connect(processorNode);
-    processorNode.connect(audioCtx.destination);
+    processorNode.connect(muteNode);
+    muteNode.connect(audioCtx.destination);
 
-    resetGate();
+    let mix = null;
 
     processorNode.onaudioprocess = (event) => {
       if (!onPitch) return;
 
       const inputBuffer = event.inputBuffer;
-      const channels = inputBuffer.numberOfChannels;
-
-      // Choose channel
-      let input;
-      if (IS_IOS) {
-        input = inputBuffer.getChannelData(0);
-      } else {
-        // Prefer channel 1 (right / Input 2 on many interfaces)
-        input = channels >= 2 ? inputBuffer.getChannelData(1) : inputBuffer.getChannelData(0);
-      }
-
-      // --- PURPOSEFUL NOTE GATE ---
-      // Step 1: volume (RMS) gate with hysteresis
-      const level = rms(input);
-      const loudEnough = locked ? (level >= RMS_OFF) : (level >= RMS_ON);
-
-      if (!loudEnough) {
-        resetGate();
-        return;
-      }
-
-      // Step 2: pitch detect
-      const freq = detectPitchFromChunk(input);
-      if (!freq) {
-        // If we can't detect pitch but we are loud, keep it conservative:
-        // reset so random noise doesn't accumulate "stability time"
-        resetGate();
-        return;
-      }
-
-      // Step 3: stability timer in cents
-      const frameMs = (input.length / sampleRate) * 1000;
-      const now = performance.now();
-
-      if (lastFreq == null) {
-        lastFreq = freq;
-        stableMs = 0;
-        return;
+      const channels = [];
+      for (let c = 0; c < inputBuffer.numberOfChannels; c++) {
+        channels.push(inputBuffer.getChannelData(c));
       }
-
-      const cd = Math.abs(centsDiff(freq, lastFreq));
-
-      if (cd <= STABLE_CENTS) {
-        stableMs += frameMs;
-        // small smoothing so lastFreq doesn't jump with tiny variance
-        lastFreq = 0.85 * lastFreq + 0.15 * freq;
-      } else {
-        // Not stable yet; restart around new pitch
-        stableMs = 0;
-        lastFreq = freq;
-        locked = false;
-        return;
+      if (!mix || mix.length !== inputBuffer.length) mix = new Float32Array(inputBuffer.length);
+      const input = window.PitchCore.selectChannel(channels, preferredChannel(), mix);
+
+      if (onLevels) {
+        onLevels({
+          channels: channels.map(window.PitchCore.rms),
+          rms: window.PitchCore.rms(input),
+          peak: window.PitchCore.peak(input),
+          frameMs: (input.length / audioCtx.sampleRate) * 1000
+        });
       }
 
-      // Step 4: fire once when sustained long enough (with cooldown)
-      if (!locked && stableMs >= SUSTAIN_MS) {
-        if (now - lastFireAt >= REARM_MS) {
-          locked = true;
-          lastFireAt = now;
-
-          // ✅ Trigger your app with the sustained pitch
-          onPitch(lastFreq);
-        }
+      // Context time, like the worklet, so onsets match scheduled audio
+      const nowMs = audioCtx.currentTime * 1000;
+      const note = tracker.process(input, nowMs);
+      if (note) emitNote(note);
+      if (onTrack) emitTracking();
+      if (strums) {
+        const chord = strums.process(input, nowMs);
+        if (chord) emitChord(chord);
       }
-
-      // If you ever want continuous tracking AFTER lock, you could call:
-      // if (locked) onPitch(lastFreq);
     };
   }
 
+  // Same contract as the worklet: every frame while pitched, one null after
+  function emitTracking() {
+    const current = tracker.tracking();
+    if (!current && !wasTracking) return;
+    wasTracking = !!current;
+    onTrack(current ? current.freq : null, { confidence: current ? current.confidence : 0 });
+  }
+
   function stop() {
+    if (workletNode) {
+      workletNode.port.postMessage({ type: "stop" });
+      workletNode.port.onmessage = null;
+      workletNode.disconnect();
+      workletNode = null;
+    }
     if (processorNode) {
       processorNode.disconnect();
       processorNode.onaudioprocess = null;
       processorNode = null;
     }
+    if (muteNode) {
+      muteNode.disconnect();
+      muteNode = null;
+    }
     if (gainNode) {
       gainNode.disconnect();
       gainNode = null;
@@ -200,80 +402,31 @@
       sourceNode.disconnect();
       sourceNode = null;
     }
-    if (audioCtx) {
-      audioCtx.close();
-      audioCtx = null;
-    }
     if (mediaStream) {
       mediaStream.getTracks().forEach((t) => t.stop());
       mediaStream = null;
     }
-    resetGate();
-  }
-
-  // -----------------------------
-  // Pitch detection (autocorrelation)
-  // -----------------------------
-  function detectPitchFromChunk(buf) {
-    const n = buf.length;
-    if (n === 0) return null;
-
-    // DC offset removal
-    let mean = 0;
-    for (let i = 0; i < n; i++) mean += buf[i];
-    mean /= n;
-
-    // Normalize by peak
-    let peak = 0;
-    const x = new Float32Array(n);
-    for (let i = 0; i < n; i++) {
-      const v = buf[i] - mean;
-      x[i] = v;
-      const a = Math.abs(v);
-      if (a > peak) peak = a;
-    }
-
-    // Peak gate (your existing behavior)
-    if (peak < EFFECTIVE_AMPLITUDE_THRESHOLD) return null;
-
-    const invPeak = 1 / peak;
-    for (let i = 0; i < n; i++) x[i] *= invPeak;
-
-    // Autocorrelation
-    const corr = new Float32Array(n);
-    for (let lag = 0; lag < n; lag++) {
-      let sum = 0;
-      for (let i = 0; i < n - lag; i++) {
-        sum += x[i] * x[i + lag];
-      }
-      corr[lag] = sum;
-    }
-
-    const minLag = Math.max(1, Math.floor(sampleRate / MAX_F0));
-    let maxLag = Math.floor(sampleRate / MIN_F0);
-    if (maxLag >= n) maxLag = n - 1;
-    if (minLag >= maxLag) return null;
-
-    // Ignore impossible lags
-    for (let i = 0; i < minLag; i++) corr[i] = 0;
-
-    // Find best lag
-    let bestLag = minLag;
-    let bestVal = corr[minLag];
-    for (let lag = minLag + 1; lag <= maxLag; lag++) {
-      if (corr[lag] > bestVal) {
-        bestVal = corr[lag];
-        bestLag = lag;
-      }
-    }
-
-    if (bestLag <= 0) return null;
-
-    const freq = sampleRate / bestLag;
-    if (freq < MIN_F0 || freq > MAX_F0) return null;
-
-    return freq;
+    tracker = null;
+    strums = null;
+    onLevels = null;
+    onTrack = null;
+    onChord = null;
   }
 
-  window.AudioEngine = { start, stop };
+  window.AudioEngine = {
+    start,
+    stop,
+    configure,
+    getConfig,
+    getDefaultGateConfig,
+    listDetectors,
+    listInputDevices,
+    setInput,
+    getInput,
+    isRunning,
+    getContext,
+    getLatency,
+    suppressInputUntil,
+    clearSuppression
+  };
 })();
@@ -0,0 +1,158 @@
+// calibration.js
+// Noise-floor calibration for the AudioEngine gate. A CalibrationSession
+// is fed one level frame at a time ({ rms, peak, frameMs } from the
+// engine's onLevels callback): first it measures the room for a few
+// seconds, then it waits for a handful of plucked notes, then it derives
+// gate thresholds from both.
+(function () {
+  const DEFAULT_NOISE_MS = 3000;
+  const DEFAULT_PLUCK_COUNT = 5;
+  const DEFAULT_PLUCK_TIMEOUT_MS = 20000;
+
+  // A pluck starts this far above the noise floor and ends when it decays
+  // back under RELEASE_FACTOR × noise
+  const ONSET_FACTOR = 4;
+  const RELEASE_FACTOR = 2;
+  const MIN_PLUCK_MS = 60;
+
+  // Plucks must clear the noise by at least this much to be usable
+  const MIN_SIGNAL_TO_NOISE = 3;
+
+  // Where the thresholds sit between noise and pluck level, on a log scale
+  // (0 = at the noise floor, 1 = at the median pluck)
+  const RMS_ON_POSITION = 0.35;
+  const PEAK_POSITION = 0.3;
+
+  // Floor so a dead-silent interface doesn't give a zero threshold
+  const MIN_LEVEL = 1e-4;
+
+  const CalibrationPhase = Object.freeze({
+    NOISE: "noise",
+    PLUCKS: "plucks",
+    DONE: "done",
+    FAILED: "failed"
+  });
+
+  function percentile(values, p) {
+    if (!values.length) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const idx = Math.min(sorted.length - 1, Math.floor(p * sorted.length));
+    return sorted[idx];
+  }
+
+  function between(low, high, position) {
+    return low * Math.pow(high / low, position);
+  }
+
+  // noise: { rms, peak } at the 95th percentile of the quiet room.
+  // plucks: [{ rms, peak, durationMs }] per detected note.
+  function deriveGateConfig(noise, plucks) {
+    const noiseRms = Math.max(noise.rms, MIN_LEVEL);
+    const noisePeak = Math.max(noise.peak, MIN_LEVEL);
+
+    const pluckRms = percentile(plucks.map((p) => p.rms), 0.5);
+    const pluckPeak = percentile(plucks.map((p) => p.peak), 0.5);
+    const pluckMs = percentile(plucks.map((p) => p.durationMs), 0.5);
+
+    if (pluckRms < noiseRms * MIN_SIGNAL_TO_NOISE) {
+      throw new Error("Plucked notes are barely louder than the room noise. Turn the input up and retry.");
+    }
+
+    const rmsOn = between(noiseRms, pluckRms, RMS_ON_POSITION);
+    const rmsOff = Math.max(noiseRms * 1.5, rmsOn * 0.8);
+    const amplitudeThreshold = between(noisePeak, Math.max(pluckPeak, noisePeak), PEAK_POSITION);
+
+    // Short-decay instruments need a shorter hold before a note counts
+    const sustainMs = Math.round(Math.max(80, Math.min(200, pluckMs * 0.25)));
+
+    return { amplitudeThreshold, rmsOn, rmsOff, sustainMs };
+  }
+
+  class CalibrationSession {
+    constructor(options = {}) {
+      this.noiseMs = options.noiseMs != null ? options.noiseMs : DEFAULT_NOISE_MS;
+      this.pluckCount = options.pluckCount != null ? options.pluckCount : DEFAULT_PLUCK_COUNT;
+      this.pluckTimeoutMs = options.pluckTimeoutMs != null ? options.pluckTimeoutMs : DEFAULT_PLUCK_TIMEOUT_MS;
+
+      this.phase = CalibrationPhase.NOISE;
+      this.elapsedMs = 0;
+      this.noiseFrames = [];
+      this.noise = null;
+      this.plucks = [];
+      this._current = null;
+      this.config = null;
+      this.error = null;
+    }
+
+    // Returns true when the phase changed on this frame
+    addFrame(frame) {
+      const before = this.phase;
+      const ms = frame.frameMs || 0;
+      this.elapsedMs += ms;
+
+      if (this.phase === CalibrationPhase.NOISE) {
+        this.noiseFrames.push(frame);
+        if (this.elapsedMs >= this.noiseMs) this._finishNoise();
+      } else if (this.phase === CalibrationPhase.PLUCKS) {
+        this._trackPluck(frame, ms);
+        if (this.plucks.length >= this.pluckCount) this._finish();
+        else if (this.elapsedMs >= this.pluckTimeoutMs) {
+          this._fail(`Only heard ${this.plucks.length} of ${this.pluckCount} notes. Pluck a bit harder and retry.`);
+        }
+      }
+
+      return this.phase !== before;
+    }
+
+    _finishNoise() {
+      this.noise = {
+        rms: percentile(this.noiseFrames.map((f) => f.rms), 0.95),
+        peak: percentile(this.noiseFrames.map((f) => f.peak), 0.95)
+      };
+      this.noiseFrames = [];
+      this.elapsedMs = 0;
+      this.phase = CalibrationPhase.PLUCKS;
+    }
+
+    _trackPluck(frame, ms) {
+      const floor = Math.max(this.noise.rms, MIN_LEVEL);
+
+      if (!this._current) {
+        if (frame.rms >= floor * ONSET_FACTOR) {
+          this._current = { rms: frame.rms, peak: frame.peak, durationMs: ms };
+        }
+        return;
+      }
+
+      if (frame.rms >= floor * RELEASE_FACTOR) {
+        this._current.rms = Math.max(this._current.rms, frame.rms);
+        this._current.peak = Math.max(this._current.peak, frame.peak);
+        this._current.durationMs += ms;
+        return;
+      }
+
+      if (this._current.durationMs >= MIN_PLUCK_MS) this.plucks.push(this._current);
+      this._current = null;
+    }
+
+    _finish() {
+      try {
+        this.config = deriveGateConfig(this.noise, this.plucks);
+        this.phase = CalibrationPhase.DONE;
+      } catch (err) {
+        this._fail(err.message);
+      }
+    }
+
+    _fail(message) {
+      this.error = message;
+      this.phase = CalibrationPhase.FAILED;
+    }
+  }
+
+  window.Calibration = {
+    CalibrationPhase,
+    CalibrationSession,
+    deriveGateConfig
+  };
+})();
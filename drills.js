@@ -0,0 +1,124 @@
+// drills.js
+// Timed drill logic shared by the trainers. A DrillSession tracks the
+// clock (60-second sprint or N targets), an optional per-target time
+// limit that turns into a miss when it expires, and the reaction time
+// from each prompt to its correct answer. Times are performance.now() ms.
+(function () {
+  const DrillMode = Object.freeze({
+    FREE: "free",
+    SPRINT: "sprint",
+    COUNT: "count"
+  });
+
+  const DEFAULT_SPRINT_MS = 60 * 1000;
+  const DEFAULT_TARGET_COUNT = 20;
+
+  function median(values) {
+    if (!values.length) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  class DrillSession {
+    constructor(options = {}) {
+      this.mode = options.mode || DrillMode.FREE;
+      this.durationMs = options.durationMs || DEFAULT_SPRINT_MS;
+      this.targetCount = options.targetCount || DEFAULT_TARGET_COUNT;
+      this.targetLimitMs = options.targetLimitMs || 0; // 0 = no limit
+
+      this.startedAt = null;
+      this.finishedAt = null;
+      this.promptAt = null; // null while no target is waiting for an answer
+      this.completed = 0;
+      this.misses = 0;
+      this.timeouts = 0;
+      this.reactionTimes = [];
+    }
+
+    start(now) {
+      this.startedAt = now;
+    }
+
+    get finished() {
+      return this.finishedAt != null;
+    }
+
+    // Targets that are over, either answered or timed out
+    get targetsDone() {
+      return this.completed + this.timeouts;
+    }
+
+    prompt(now) {
+      if (!this.finished) this.promptAt = now;
+    }
+
+    // Wrong answers count as misses but leave the target open
+    answer(correct, now) {
+      if (this.finished || this.promptAt == null) return { reactionMs: null, finished: this.finished };
+      if (!correct) {
+        this.misses += 1;
+        return { reactionMs: null, finished: false };
+      }
+
+      const reactionMs = now - this.promptAt;
+      this.reactionTimes.push(reactionMs);
+      this.completed += 1;
+      this.promptAt = null;
+      this._checkFinished(now);
+      return { reactionMs, finished: this.finished };
+    }
+
+    // Call regularly: reports a target running out of time, and the end
+    // of the drill
+    tick(now) {
+      if (this.finished) return { expired: false, finished: true };
+
+      let expired = false;
+      if (this.targetLimitMs && this.promptAt != null && now - this.promptAt >= this.targetLimitMs) {
+        this.timeouts += 1;
+        this.promptAt = null;
+        expired = true;
+      }
+      this._checkFinished(now);
+      return { expired, finished: this.finished };
+    }
+
+    _checkFinished(now) {
+      if (this.mode === DrillMode.SPRINT && now - this.startedAt >= this.durationMs) this.finishedAt = now;
+      if (this.mode === DrillMode.COUNT && this.targetsDone >= this.targetCount) this.finishedAt = now;
+    }
+
+    remainingMs(now) {
+      if (this.mode !== DrillMode.SPRINT) return null;
+      return Math.max(0, this.durationMs - (now - this.startedAt));
+    }
+
+    // Time left on the current target, or null without a limit
+    targetRemainingMs(now) {
+      if (!this.targetLimitMs || this.promptAt == null) return null;
+      return Math.max(0, this.targetLimitMs - (now - this.promptAt));
+    }
+
+    summary(now) {
+      const end = this.finishedAt != null ? this.finishedAt : now;
+      return {
+        mode: this.mode,
+        completed: this.completed,
+        misses: this.misses,
+        timeouts: this.timeouts,
+        medianMs: median(this.reactionTimes),
+        bestMs: this.reactionTimes.length ? Math.min(...this.reactionTimes) : null,
+        elapsedMs: this.startedAt != null ? end - this.startedAt : 0
+      };
+    }
+  }
+
+  window.Drills = {
+    DrillMode,
+    DEFAULT_SPRINT_MS,
+    DEFAULT_TARGET_COUNT,
+    DrillSession,
+    median
+  };
+})();
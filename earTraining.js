@@ -0,0 +1,181 @@
+// earTraining.js
+// Ear training exercises.
+// - Call and response: the app plays a note or a short phrase from the
+//   playable range and the player echoes it back. Heard notes are compared
+//   by pitch class, or by exact MIDI note in exact-octave mode.
+// - Chord quiz: the app plays a triad; the player names its quality and
+//   inversion (or plays its root). Accuracy per quality/inversion pair is
+//   kept in Settings.
+(function () {
+  // Largest jump (semitones) between neighbouring notes of a phrase
+  const DEFAULT_MAX_LEAP = 5;
+  const QUIZ_SETTINGS_KEY = "chordQuiz";
+
+  function randomChoice(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
+  }
+
+  function pitchClassOf(midi) {
+    return ((midi % 12) + 12) % 12;
+  }
+
+  // midis: the playable notes (e.g. Fretboard.positions() MIDI values).
+  // Each next note is a different one within maxLeap of the last.
+  function randomPhrase(midis, { length = 1, maxLeap = DEFAULT_MAX_LEAP } = {}) {
+    const pool = Array.from(new Set(midis)).sort((a, b) => a - b);
+    if (!pool.length) return [];
+
+    const phrase = [randomChoice(pool)];
+    while (phrase.length < length) {
+      const prev = phrase[phrase.length - 1];
+      const near = pool.filter((m) => m !== prev && Math.abs(m - prev) <= maxLeap);
+      phrase.push(randomChoice(near.length ? near : pool));
+    }
+    return phrase;
+  }
+
+  // Tracks the echo of one phrase. A wrong note starts it over.
+  class EchoSession {
+    constructor(phrase, options = {}) {
+      this.phrase = phrase.slice();
+      this.exactOctave = !!options.exactOctave;
+      this.index = 0;
+      this.wrongCount = 0;
+      this.done = false;
+    }
+
+    // Back to the first note (e.g. after replaying the phrase)
+    restart() {
+      if (!this.done) this.index = 0;
+    }
+
+    matches(heardMidi, expectedMidi) {
+      if (this.exactOctave) return heardMidi === expectedMidi;
+      return pitchClassOf(heardMidi) === pitchClassOf(expectedMidi);
+    }
+
+    // heardMidi: rounded MIDI note of a sustained pitch event
+    acceptNote(heardMidi) {
+      if (this.done) return this.payload(true, { heard: heardMidi });
+
+      const expected = this.phrase[this.index];
+      if (this.matches(heardMidi, expected)) {
+        this.index += 1;
+        if (this.index >= this.phrase.length) this.done = true;
+        return this.payload(true, { heard: heardMidi });
+      }
+
+      this.wrongCount += 1;
+      this.index = 0;
+      return this.payload(false, {
+        heard: heardMidi,
+        reset: true,
+        // Right note, wrong octave (only possible in exact-octave mode)
+        octaveOff: pitchClassOf(heardMidi) === pitchClassOf(expected)
+      });
+    }
+
+    payload(correct, extra = {}) {
+      return {
+        correct,
+        done: this.done,
+        reset: false,
+        octaveOff: false,
+        matchedCount: this.index,
+        total: this.phrase.length,
+        expected: this.done ? null : this.phrase[this.index],
+        wrongCount: this.wrongCount,
+        ...extra
+      };
+    }
+  }
+
+  // ---------- Chord quiz ----------
+  // Random triad voiced so every note lies within the playable range.
+  // Returns { triad, midis } (midis in inversion order, low to high).
+  function randomQuizChord(playable, { qualities, inversions }) {
+    const { Triad, NOTE_ORDER_SHARP, simplestRootName } = window.Triads;
+    const quality = randomChoice(qualities);
+    const root = simplestRootName(randomChoice(NOTE_ORDER_SHARP), quality);
+    const triad = new Triad(root, quality, randomChoice(inversions));
+
+    const low = Math.min(...playable);
+    const high = Math.max(...playable);
+    const voicings = [];
+    for (let bass = low; bass <= high; bass++) {
+      const notes = triad.midiNotes(bass);
+      if (notes[0] === bass && notes[notes.length - 1] <= high) voicings.push(notes);
+    }
+    const midis = voicings.length ? randomChoice(voicings) : triad.midiNotes(low);
+    return { triad, midis };
+  }
+
+  // answer: { quality, inversion } (inversion null = not asked) or
+  // { root } (a pitch-class name, e.g. from playing the root)
+  function checkQuizAnswer(triad, answer) {
+    if (answer.root != null) {
+      const rootOk = window.Triads.normalizePitchClass(answer.root) === triad.root;
+      return { correct: rootOk, rootOk };
+    }
+    const qualityOk = answer.quality === triad.quality;
+    const inversionOk = answer.inversion == null || answer.inversion === triad.inversion;
+    return { correct: qualityOk && inversionOk, qualityOk, inversionOk };
+  }
+
+  function pairKey(quality, inversion) {
+    return `${quality}/${inversion}`;
+  }
+
+  // Attempts/correct per quality + inversion pair, saved in Settings
+  class QuizTally {
+    constructor() {
+      this.pairs = window.Settings.get(QUIZ_SETTINGS_KEY, {});
+    }
+
+    save() {
+      window.Settings.set(QUIZ_SETTINGS_KEY, this.pairs);
+    }
+
+    record(quality, inversion, correct) {
+      const key = pairKey(quality, inversion);
+      const entry = this.pairs[key] || { attempts: 0, correct: 0 };
+      entry.attempts += 1;
+      if (correct) entry.correct += 1;
+      this.pairs[key] = entry;
+      this.save();
+    }
+
+    entry(quality, inversion) {
+      return this.pairs[pairKey(quality, inversion)] || null;
+    }
+
+    // Lowest-accuracy pair with at least minAttempts, or null
+    weakest(minAttempts = 3) {
+      let worst = null;
+      for (const key in this.pairs) {
+        const entry = this.pairs[key];
+        if (entry.attempts < minAttempts) continue;
+        const accuracy = entry.correct / entry.attempts;
+        if (!worst || accuracy < worst.accuracy) {
+          const [quality, inversion] = key.split("/");
+          worst = { quality, inversion: Number(inversion), accuracy, ...entry };
+        }
+      }
+      return worst;
+    }
+
+    clear() {
+      this.pairs = {};
+      window.Settings.remove(QUIZ_SETTINGS_KEY);
+    }
+  }
+
+  window.EarTraining = {
+    DEFAULT_MAX_LEAP,
+    randomPhrase,
+    EchoSession,
+    randomQuizChord,
+    checkQuizAnswer,
+    QuizTally
+  };
+})();
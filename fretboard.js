@@ -15,20 +15,112 @@
     1: 64  // E4
   };
 
-  // Only frets 0–11 (no 12th-fret duplicates)
-  const MAX_FRET = 11;
-
-  const FRETBOARD = [];
-
-  for (const key in STRING_TUNING_MIDI) {
-    const s = parseInt(key, 10);
-    const openMidi = STRING_TUNING_MIDI[key];
-    for (let fret = 0; fret <= MAX_FRET; fret++) {
-      const midi = openMidi + fret;
-      const name = midiToNoteName(midi);
-      const pitchClass = pitchClassName(midi);
-      FRETBOARD.push({ string: s, fret, midi, name, pitchClass });
+  // ---------- Instrument profiles ----------
+  // Each profile sets string count, tunings (string number → open MIDI),
+  // fret range, the lowest string of each string set triad prompts use
+  // (6 → 6-5-4, 3 → 3-2-1) and the pitch detection window handed to the
+  // AudioEngine.
+  const INSTRUMENTS = Object.freeze({
+    guitar: {
+      label: "Guitar (6-string)",
+      maxFret: 11, // only frets 0–11 (no 12th-fret duplicates)
+      minF0: 70,
+      maxF0: 1000,
+      triadStrings: [6, 5, 4, 3],
+      tunings: {
+        standard: { label: "Standard (E A D G B E)", strings: STRING_TUNING_MIDI },
+        dropD: { label: "Drop D (D A D G B E)", strings: { 6: 38, 5: 45, 4: 50, 3: 55, 2: 59, 1: 64 } },
+        dadgad: { label: "DADGAD", strings: { 6: 38, 5: 45, 4: 50, 3: 55, 2: 57, 1: 62 } },
+        ebStandard: { label: "Eb standard", strings: { 6: 39, 5: 44, 4: 49, 3: 54, 2: 58, 1: 63 } },
+        openG: { label: "Open G (D G D G B D)", strings: { 6: 38, 5: 43, 4: 50, 3: 55, 2: 59, 1: 62 } }
+      }
+    },
+    guitar7: {
+      label: "Guitar (7-string)",
+      maxFret: 11,
+      minF0: 50,
+      maxF0: 1000,
+      triadStrings: [7, 6, 5, 4, 3],
+      tunings: {
+        standard: { label: "Standard (B E A D G B E)", strings: { 7: 35, 6: 40, 5: 45, 4: 50, 3: 55, 2: 59, 1: 64 } },
+        dropA: { label: "Drop A (A E A D G B E)", strings: { 7: 33, 6: 40, 5: 45, 4: 50, 3: 55, 2: 59, 1: 64 } }
+      }
+    },
+    baritone: {
+      label: "Baritone guitar",
+      maxFret: 11,
+      minF0: 50,
+      maxF0: 800,
+      triadStrings: [6, 5, 4, 3],
+      tunings: {
+        bStandard: { label: "B standard (B E A D F# B)", strings: { 6: 35, 5: 40, 4: 45, 3: 50, 2: 54, 1: 59 } },
+        aStandard: { label: "A standard (A D G C E A)", strings: { 6: 33, 5: 38, 4: 43, 3: 48, 2: 52, 1: 57 } }
+      }
+    },
+    bass4: {
+      label: "Bass (4-string)",
+      maxFret: 11,
+      minF0: 30,
+      maxF0: 400,
+      triadStrings: [4],
+      tunings: {
+        standard: { label: "Standard (E A D G)", strings: { 4: 28, 3: 33, 2: 38, 1: 43 } },
+        dropD: { label: "Drop D (D A D G)", strings: { 4: 26, 3: 33, 2: 38, 1: 43 } }
+      }
+    },
+    bass5: {
+      label: "Bass (5-string)",
+      maxFret: 11,
+      minF0: 28,
+      maxF0: 400,
+      triadStrings: [5, 4],
+      tunings: {
+        standard: { label: "Standard (B E A D G)", strings: { 5: 23, 4: 28, 3: 33, 2: 38, 1: 43 } }
+      }
+    },
+    ukulele: {
+      label: "Ukulele",
+      maxFret: 11,
+      minF0: 200,
+      maxF0: 1400,
+      triadStrings: [4, 3],
+      tunings: {
+        standard: { label: "Standard re-entrant (G C E A)", strings: { 4: 67, 3: 60, 2: 64, 1: 69 } },
+        lowG: { label: "Low G (G C E A)", strings: { 4: 55, 3: 60, 2: 64, 1: 69 } },
+        dStandard: { label: "D tuning (A D F# B)", strings: { 4: 69, 3: 62, 2: 66, 1: 71 } }
+      }
     }
+  });
+
+  const DEFAULT_INSTRUMENT_ID = "guitar";
+  const CUSTOM_TUNING_ID = "custom";
+  const MAX_CAPO = 7;
+
+  // Active state (rebuilt by setInstrument / setTuning / setCapo)
+  let instrumentId = DEFAULT_INSTRUMENT_ID;
+  let instrument = INSTRUMENTS[DEFAULT_INSTRUMENT_ID];
+  let tuningId = "standard";
+  let tuningLabel = instrument.tunings.standard.label;
+  let stringTuningMidi = { ...STRING_TUNING_MIDI };
+  let capo = 0;
+
+  let FRETBOARD = [];
+
+  // Frets are absolute neck positions: with a capo on 2, fret 2 is the
+  // lowest playable position and the range is shifted up accordingly.
+  function rebuildFretboard() {
+    const table = [];
+    for (const key in stringTuningMidi) {
+      const s = parseInt(key, 10);
+      const openMidi = stringTuningMidi[key];
+      for (let fret = capo; fret <= capo + instrument.maxFret; fret++) {
+        const midi = openMidi + fret;
+        const name = midiToNoteName(midi);
+        const pitchClass = pitchClassName(midi);
+        table.push({ string: s, fret, midi, name, pitchClass });
+      }
+    }
+    FRETBOARD = table;
   }
 
   function midiToNoteName(midi) {
@@ -46,18 +138,160 @@
     return 69 + 12 * Math.log2(freq / 440);
   }
 
-  function randomTarget() {
-    const strings = Object.keys(STRING_TUNING_MIDI).map(Number);
-    const string = strings[Math.floor(Math.random() * strings.length)];
-    const openMidi = STRING_TUNING_MIDI[string];
-    const fret = Math.floor(Math.random() * (MAX_FRET + 1));
-    const midi = openMidi + fret;
+  // "E2", "Eb2", "f#3" → MIDI number
+  function noteNameToMidi(note) {
+    const m = String(note).trim().match(/^([A-Ga-g])([b#]?)(-?\d+)$/);
+    if (!m) throw new Error(`Unrecognized note name: ${note}`);
+
+    const letter = m[1].toUpperCase();
+    let pc = NOTE_NAMES.indexOf(letter);
+    if (m[2] === "#") pc += 1;
+    if (m[2] === "b") pc -= 1;
+
+    const octave = parseInt(m[3], 10);
+    return (octave + 1) * 12 + pc;
+  }
+
+  // ---------- Instrument / tuning / capo ----------
+  function listInstruments() {
+    return Object.keys(INSTRUMENTS).map((id) => ({ id, label: INSTRUMENTS[id].label }));
+  }
+
+  // Switching instrument resets to its first tuning and removes the capo
+  function setInstrument(id) {
+    const profile = INSTRUMENTS[id];
+    if (!profile) throw new Error(`Unknown instrument: ${id}`);
+
+    instrumentId = id;
+    instrument = profile;
+    capo = 0;
+    setTuning(Object.keys(profile.tunings)[0]);
+  }
+
+  function getInstrument() {
+    const { label, maxFret, minF0, maxF0, triadStrings } = instrument;
+    return {
+      id: instrumentId,
+      label,
+      stringCount: strings().length,
+      maxFret,
+      minF0,
+      maxF0,
+      triadStrings: triadStrings.slice()
+    };
+  }
+
+  function listTunings() {
+    const tunings = instrument.tunings;
+    return Object.keys(tunings).map((id) => ({ id, label: tunings[id].label }));
+  }
+
+  function setTuning(id) {
+    const preset = instrument.tunings[id];
+    if (!preset) throw new Error(`Unknown tuning for ${instrument.label}: ${id}`);
+
+    tuningId = id;
+    tuningLabel = preset.label;
+    stringTuningMidi = { ...preset.strings };
+    rebuildFretboard();
+  }
+
+  // Accepts either a { string: midi } map or a note list from low to high
+  // string, e.g. "D2 A2 D3 G3 B3 E4".
+  function setCustomTuning(spec) {
+    let map;
+
+    if (typeof spec === "string") {
+      const notes = spec.trim().split(/[\s,]+/).filter(Boolean);
+      const count = strings().length;
+      if (notes.length !== count) {
+        throw new Error(`Custom tuning needs ${count} notes (low to high), got ${notes.length}`);
+      }
+      map = {};
+      notes.forEach((n, i) => { map[count - i] = noteNameToMidi(n); });
+    } else {
+      map = { ...spec };
+    }
+
+    if (Object.keys(map).length !== strings().length) {
+      throw new Error(`${instrument.label} has ${strings().length} strings`);
+    }
+    for (const key in map) {
+      if (!Number.isInteger(map[key])) throw new Error(`Invalid MIDI note for string ${key}`);
+    }
+
+    tuningId = CUSTOM_TUNING_ID;
+    tuningLabel = "Custom (" + describeTuning(map) + ")";
+    stringTuningMidi = map;
+    rebuildFretboard();
+  }
+
+  function describeTuning(map) {
+    return strings(map).map((s) => midiToNoteName(map[s])).join(" ");
+  }
+
+  function getTuning() {
+    return { id: tuningId, label: tuningLabel, strings: { ...stringTuningMidi } };
+  }
+
+  function setCapo(fret) {
+    const n = parseInt(fret, 10);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_CAPO) {
+      throw new Error(`Capo must be between 0 and ${MAX_CAPO}`);
+    }
+    capo = n;
+    rebuildFretboard();
+  }
+
+  function getCapo() {
+    return capo;
+  }
+
+  // String numbers from lowest-pitched (highest number) to highest-pitched
+  function strings(map = stringTuningMidi) {
+    return Object.keys(map).map(Number).sort((a, b) => b - a);
+  }
+
+  // Playable frets on a string that sound the given pitch class
+  function fretsForPitchClass(string, pc) {
+    return FRETBOARD
+      .filter((n) => n.string === string && n.pitchClass === pc)
+      .map((n) => n.fret);
+  }
+
+  // Closest playable fret for a pitch class on a string (ties → lower fret)
+  function findPosition(string, pc, nearFret = capo) {
+    let best = null;
+    for (const fret of fretsForPitchClass(string, pc)) {
+      if (best == null || Math.abs(fret - nearFret) < Math.abs(best - nearFret)) best = fret;
+    }
+    return best == null ? null : { string, fret: best };
+  }
+
+  // Copy of the active { string, fret, midi, name, pitchClass } table
+  function positions() {
+    return FRETBOARD.map((n) => ({ ...n }));
+  }
+
+  function targetAt(string, fret) {
+    const midi = stringTuningMidi[string] + fret;
     const pitchClass = pitchClassName(midi);
     const fullName = midiToNoteName(midi);
     return { string, fret, midi, pitchClass, fullName };
   }
 
-  function nearestFretFromFreq(freq) {
+  function randomTarget() {
+    const strs = strings();
+    const string = strs[Math.floor(Math.random() * strs.length)];
+    const fret = capo + Math.floor(Math.random() * (instrument.maxFret + 1));
+    return targetAt(string, fret);
+  }
+
+  // Best-guess position for a heard frequency. Every string/fret that
+  // sounds the same MIDI note is returned in `candidates`, ordered by
+  // distance from `near` ({ string, fret }, e.g. the current target) so
+  // the first one is the position the player most likely used.
+  function nearestFretFromFreq(freq, near = null) {
     const midiEst = freqToMidi(freq);
     if (midiEst == null) return null;
 
@@ -71,14 +305,45 @@
         best = n;
       }
     }
-    return best;
+    if (!best) return null;
+
+    const candidates = FRETBOARD
+      .filter((n) => n.midi === best.midi)
+      .map((n) => ({ ...n }))
+      .sort((a, b) => positionDistance(a, near) - positionDistance(b, near));
+
+    return { ...candidates[0], candidates };
+  }
+
+  // Strings weigh more than frets: moving across strings is the bigger jump
+  function positionDistance(pos, near) {
+    if (!near) return pos.fret;
+    return Math.abs(pos.string - near.string) * 5 + Math.abs(pos.fret - near.fret);
   }
 
+  rebuildFretboard();
+
   window.Fretboard = {
+    CUSTOM_TUNING_ID,
+    MAX_CAPO,
+    listInstruments,
+    setInstrument,
+    getInstrument,
     randomTarget,
     nearestFretFromFreq,
     pitchClassName,
     midiToNoteName,
-    freqToMidi
+    noteNameToMidi,
+    freqToMidi,
+    listTunings,
+    setTuning,
+    setCustomTuning,
+    getTuning,
+    setCapo,
+    getCapo,
+    strings,
+    fretsForPitchClass,
+    findPosition,
+    positions
   };
 })();
@@ -0,0 +1,135 @@
+// fretboardDiagram.js
+// SVG fretboard driven by the Fretboard table (active instrument, tuning
+// and capo). Shows the target position(s) — a single note or a chord
+// voicing drawn as connected dots — plus a marker where the heard note
+// most likely sits. Targets stay hidden until reveal is switched on.
+(function () {
+  const FRET_WIDTH = 46;
+  const STRING_GAP = 20;
+  const MARGIN_LEFT = 34;
+  const MARGIN_TOP = 14;
+  const MARGIN_BOTTOM = 22;
+  const DOT_RADIUS = 7;
+  const INLAY_FRETS = [3, 5, 7, 9, 15, 17, 19, 21];
+  const DOUBLE_INLAY_FRETS = [12, 24];
+
+  class FretboardDiagram {
+    constructor(container) {
+      this.container = container;
+      this.targets = [];
+      this.heard = null;
+      this.reveal = false;
+    }
+
+    // positions: [{ string, fret }] — one note, or a voicing in play order
+    setTarget(positions) {
+      this.targets = positions ? positions.slice() : [];
+      this.render();
+    }
+
+    setHeard(position) {
+      this.heard = position || null;
+      this.render();
+    }
+
+    setReveal(reveal) {
+      this.reveal = !!reveal;
+      this.render();
+    }
+
+    clear() {
+      this.targets = [];
+      this.heard = null;
+      this.render();
+    }
+
+    render() {
+      if (!this.container) return;
+
+      const strings = window.Fretboard.strings().slice().sort((a, b) => a - b);
+      const table = window.Fretboard.positions();
+      const frets = Array.from(new Set(table.map((n) => n.fret))).sort((a, b) => a - b);
+      const firstFret = frets[0];
+
+      const width = MARGIN_LEFT + frets.length * FRET_WIDTH + 8;
+      const height = MARGIN_TOP + (strings.length - 1) * STRING_GAP + MARGIN_BOTTOM;
+      const bottom = MARGIN_TOP + (strings.length - 1) * STRING_GAP;
+
+      const xFor = (fret) => MARGIN_LEFT + (fret - firstFret + 0.5) * FRET_WIDTH;
+      // String 1 (highest pitch) on top, like a chord chart
+      const yFor = (string) => MARGIN_TOP + strings.indexOf(string) * STRING_GAP;
+
+      const parts = [];
+
+      // Inlays
+      for (const f of frets) {
+        const x = xFor(f);
+        const mid = (MARGIN_TOP + bottom) / 2;
+        if (INLAY_FRETS.includes(f)) {
+          parts.push(`<circle class="fd-inlay" cx="${x}" cy="${mid}" r="4"></circle>`);
+        }
+        if (DOUBLE_INLAY_FRETS.includes(f)) {
+          parts.push(`<circle class="fd-inlay" cx="${x}" cy="${mid - STRING_GAP}" r="4"></circle>`);
+          parts.push(`<circle class="fd-inlay" cx="${x}" cy="${mid + STRING_GAP}" r="4"></circle>`);
+        }
+      }
+
+      // Fret wires; the first one is the nut (or the capo)
+      for (let i = 0; i <= frets.length - 1; i++) {
+        const x = MARGIN_LEFT + (i + 1) * FRET_WIDTH;
+        const cls = i === 0 ? (firstFret > 0 ? "fd-capo" : "fd-nut") : "fd-fret";
+        parts.push(`<line class="${cls}" x1="${x}" y1="${MARGIN_TOP - 4}" x2="${x}" y2="${bottom + 4}"></line>`);
+      }
+
+      // Strings + open-note labels
+      const tuning = window.Fretboard.getTuning().strings;
+      const capo = window.Fretboard.getCapo();
+      for (const s of strings) {
+        const y = yFor(s);
+        parts.push(`<line class="fd-string" x1="${MARGIN_LEFT}" y1="${y}" x2="${width - 8}" y2="${y}"></line>`);
+        const open = window.Fretboard.pitchClassName(tuning[s] + capo);
+        parts.push(`<text class="fd-label" x="4" y="${y + 4}">${open}</text>`);
+      }
+
+      // Fret numbers
+      for (const f of frets) {
+        parts.push(`<text class="fd-fretnum" x="${xFor(f)}" y="${height - 4}" text-anchor="middle">${f}</text>`);
+      }
+
+      // Target(s), connected in play order
+      if (this.reveal && this.targets.length) {
+        if (this.targets.length > 1) {
+          const points = this.targets.map((p) => `${xFor(p.fret)},${yFor(p.string)}`).join(" ");
+          parts.push(`<polyline class="fd-voicing" points="${points}"></polyline>`);
+        }
+        this.targets.forEach((p, i) => {
+          const label = this.targets.length > 1 ? i + 1 : "";
+          parts.push(
+            `<circle class="fd-target" cx="${xFor(p.fret)}" cy="${yFor(p.string)}" r="${DOT_RADIUS}"></circle>` +
+            `<text class="fd-dot-label" x="${xFor(p.fret)}" y="${yFor(p.string) + 3.5}" text-anchor="middle">${label}</text>`
+          );
+        });
+      }
+
+      // Heard note (where it most likely was played)
+      if (this.heard && strings.includes(this.heard.string) && frets.includes(this.heard.fret)) {
+        parts.push(
+          `<circle class="fd-heard" cx="${xFor(this.heard.fret)}" cy="${yFor(this.heard.string)}" r="${DOT_RADIUS + 3}"></circle>`
+        );
+      }
+
+      this.container.innerHTML =
+        `<svg class="fretboard-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Fretboard diagram">` +
+        parts.join("") +
+        `</svg>`;
+    }
+  }
+
+  function create(container) {
+    const diagram = new FretboardDiagram(container);
+    diagram.render();
+    return diagram;
+  }
+
+  window.FretboardDiagram = { create, FretboardDiagram };
+})();
@@ -0,0 +1,220 @@
+// intervals.js
+// Interval trainer: "play a major 6th above D". The player plays the root,
+// then the interval note. By default both are compared by pitch class;
+// in strict-octave mode the second note must sit exactly the interval
+// away from the root as played (so compound intervals need the octave).
+(function () {
+  const IntervalDirection = Object.freeze({
+    UP: "up",
+    DOWN: "down"
+  });
+
+  // Simple intervals: semitones, letter steps, name. The tritone is
+  // spelled as an augmented 4th.
+  const SIMPLE_INTERVALS = Object.freeze([
+    { semitones: 1, steps: 1, name: "minor 2nd", short: "m2" },
+    { semitones: 2, steps: 1, name: "major 2nd", short: "M2" },
+    { semitones: 3, steps: 2, name: "minor 3rd", short: "m3" },
+    { semitones: 4, steps: 2, name: "major 3rd", short: "M3" },
+    { semitones: 5, steps: 3, name: "perfect 4th", short: "P4" },
+    { semitones: 6, steps: 3, name: "tritone", short: "TT" },
+    { semitones: 7, steps: 4, name: "perfect 5th", short: "P5" },
+    { semitones: 8, steps: 5, name: "minor 6th", short: "m6" },
+    { semitones: 9, steps: 5, name: "major 6th", short: "M6" },
+    { semitones: 10, steps: 6, name: "minor 7th", short: "m7" },
+    { semitones: 11, steps: 6, name: "major 7th", short: "M7" },
+    { semitones: 12, steps: 7, name: "octave", short: "P8" }
+  ]);
+
+  const ORDINALS = ["", "", "2nd", "3rd", "4th", "5th", "6th", "7th", "8th", "9th", "10th", "11th", "12th", "13th"];
+
+  // Compound intervals are the simple ones up to a 6th plus an octave
+  // (9th–13th); the tritone becomes an augmented 11th
+  const COMPOUND_INTERVALS = Object.freeze(
+    SIMPLE_INTERVALS.filter((iv) => iv.semitones <= 9).map((iv) => {
+      const steps = iv.steps + 7;
+      const quality = iv.semitones === 6 ? "augmented" : iv.name.split(" ")[0];
+      return {
+        semitones: iv.semitones + 12,
+        steps,
+        name: `${quality} ${ORDINALS[steps + 1]}`,
+        short: `${iv.short === "TT" ? "A" : iv.short[0]}${steps + 1}`
+      };
+    })
+  );
+
+  const ALL_INTERVALS = Object.freeze(SIMPLE_INTERVALS.concat(COMPOUND_INTERVALS));
+
+  function intervalBySemitones(semitones) {
+    return ALL_INTERVALS.find((iv) => iv.semitones === semitones) || null;
+  }
+
+  // Name of the distance between two MIDI notes ("minor 6th", "unison")
+  function describeDistance(fromMidi, toMidi) {
+    const dist = Math.abs(toMidi - fromMidi);
+    if (dist === 0) return "unison";
+    const iv = intervalBySemitones(dist);
+    const name = iv ? iv.name : `${dist} semitones`;
+    return toMidi > fromMidi ? `${name} up` : `${name} down`;
+  }
+
+  // "a major 6th", "an octave", "an augmented 11th" ("a unison": the u
+  // is sounded "you")
+  function withArticle(name) {
+    return (/^(?!uni)[aeiou]/i.test(name) ? "an " : "a ") + name;
+  }
+
+  function spellTarget(rootName, interval, direction) {
+    const sign = direction === IntervalDirection.DOWN ? -1 : 1;
+    return window.Triads.spellInterval(rootName, sign * interval.semitones, sign * interval.steps);
+  }
+
+  // Sharp or flat root, whichever spells root + target with fewer
+  // accidentals; ties keep sharps
+  function simplestIntervalRoot(root, interval, direction) {
+    const { parseNote, NOTE_ORDER_SHARP, NOTE_ORDER_FLAT } = window.Triads;
+    const count = (name) => Math.abs(parseNote(name).offset) + Math.abs(parseNote(spellTarget(name, interval, direction)).offset);
+    const semitone = parseNote(root).semitone;
+    const sharp = NOTE_ORDER_SHARP[semitone];
+    const flat = NOTE_ORDER_FLAT[semitone];
+    return count(flat) < count(sharp) ? flat : sharp;
+  }
+
+  class IntervalQuestion {
+    constructor(rootName, interval, direction = IntervalDirection.UP) {
+      this.rootName = rootName;
+      this.root = window.Triads.normalizePitchClass(rootName);
+      this.interval = interval;
+      this.direction = direction;
+      this.targetName = spellTarget(rootName, interval, direction);
+      this.target = window.Triads.normalizePitchClass(this.targetName);
+    }
+
+    // Signed semitones from root to target
+    get offset() {
+      return this.direction === IntervalDirection.DOWN ? -this.interval.semitones : this.interval.semitones;
+    }
+
+    // "a major 6th above D"
+    label() {
+      const where = this.direction === IntervalDirection.DOWN ? "below" : "above";
+      return `${withArticle(this.interval.name)} ${where} ${this.rootName}`;
+    }
+  }
+
+  function pitchClassOf(midi) {
+    return ((midi % 12) + 12) % 12;
+  }
+
+  // Root, then target. A wrong note goes back to the root.
+  class IntervalSession {
+    constructor(question, options = {}) {
+      this.question = question;
+      this.strictOctave = !!options.strictOctave;
+      this.rootSemitone = window.Triads.parseNote(question.root).semitone;
+      this.targetSemitone = window.Triads.parseNote(question.target).semitone;
+      this.wrongCount = 0;
+      this.done = false;
+      this.restart();
+    }
+
+    restart() {
+      this.rootMidi = null;
+    }
+
+    // heardMidi: rounded MIDI note of a sustained pitch event
+    acceptNote(heardMidi) {
+      if (this.done) return this.payload(true, { heard: heardMidi });
+
+      if (this.rootMidi == null) {
+        if (pitchClassOf(heardMidi) !== this.rootSemitone) return this.wrong(heardMidi, {});
+        this.rootMidi = heardMidi;
+        return this.payload(true, { heard: heardMidi });
+      }
+
+      // Replaying the root (in any octave) is not a mistake: it moves the anchor
+      if (pitchClassOf(heardMidi) === this.rootSemitone && this.targetSemitone !== this.rootSemitone) {
+        this.rootMidi = heardMidi;
+        return this.payload(true, { heard: heardMidi });
+      }
+
+      const expected = this.rootMidi + this.question.offset;
+      const pcOk = pitchClassOf(heardMidi) === this.targetSemitone && heardMidi !== this.rootMidi;
+      if (this.strictOctave ? heardMidi === expected : pcOk) {
+        this.done = true;
+        return this.payload(true, { heard: heardMidi });
+      }
+
+      const played = describeDistance(this.rootMidi, heardMidi);
+      return this.wrong(heardMidi, { octaveOff: pcOk, played });
+    }
+
+    wrong(heardMidi, extra) {
+      this.wrongCount += 1;
+      this.restart();
+      return this.payload(false, { heard: heardMidi, reset: true, ...extra });
+    }
+
+    payload(correct, extra = {}) {
+      const matchedCount = this.done ? 2 : (this.rootMidi == null ? 0 : 1);
+      return {
+        correct,
+        done: this.done,
+        reset: false,
+        octaveOff: false,
+        matchedCount,
+        total: 2,
+        expected: this.done ? null : (matchedCount ? this.question.targetName : this.question.rootName),
+        expectedMidi: matchedCount === 1 ? this.rootMidi + this.question.offset : null,
+        wrongCount: this.wrongCount,
+        ...extra
+      };
+    }
+  }
+
+  class IntervalTrainer {
+    constructor(options = {}) {
+      const {
+        allowedRoots = window.Triads.NOTE_ORDER_SHARP.slice(),
+        // Semitones of the simple intervals to ask (1–12)
+        allowedIntervals = [3, 4, 7],
+        directions = [IntervalDirection.UP],
+        // Also ask each interval up to a 6th an octave wider
+        compound = false
+      } = options;
+
+      this.allowedRoots = allowedRoots.map(window.Triads.normalizePitchClass);
+      this.intervals = SIMPLE_INTERVALS.filter((iv) => allowedIntervals.includes(iv.semitones));
+      if (compound) {
+        this.intervals = this.intervals.concat(
+          COMPOUND_INTERVALS.filter((iv) => allowedIntervals.includes(iv.semitones - 12))
+        );
+      }
+      if (!this.intervals.length) this.intervals = [intervalBySemitones(7)];
+      this.directions = directions.length ? directions.slice() : [IntervalDirection.UP];
+    }
+
+    nextQuestion() {
+      const interval = randomChoice(this.intervals);
+      const direction = randomChoice(this.directions);
+      const root = simplestIntervalRoot(randomChoice(this.allowedRoots), interval, direction);
+      return new IntervalQuestion(root, interval, direction);
+    }
+  }
+
+  function randomChoice(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
+  }
+
+  window.Intervals = {
+    IntervalDirection,
+    SIMPLE_INTERVALS,
+    COMPOUND_INTERVALS,
+    intervalBySemitones,
+    describeDistance,
+    withArticle,
+    IntervalQuestion,
+    IntervalSession,
+    IntervalTrainer
+  };
+})();
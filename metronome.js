@@ -0,0 +1,169 @@
+// metronome.js
+// WebAudio click track. Ticks are scheduled a little ahead of time on the
+// AudioEngine's context (a short setInterval keeps the queue topped up),
+// so the clicks stay sample-accurate even when the main thread is busy,
+// and detected note onsets can be compared against the same clock.
+(function () {
+  const LOOKAHEAD_MS = 25;        // how often the scheduler wakes up
+  const SCHEDULE_AHEAD_S = 0.1;   // how far ahead clicks are queued
+  const START_DELAY_S = 0.05;
+  const CLICK_S = 0.03;
+  const RECENT_TICKS = 32;
+
+  const MIN_BPM = 30;
+  const MAX_BPM = 300;
+  const BEAT_UNITS = [2, 4, 8, 16];
+
+  // Click pitch/level per tick kind
+  const CLICK = Object.freeze({
+    accent: { freq: 1760, gain: 0.9 },
+    beat: { freq: 1320, gain: 0.6 },
+    sub: { freq: 880, gain: 0.3 }
+  });
+
+  const DEFAULTS = Object.freeze({
+    bpm: 80,
+    beatsPerBar: 4,
+    beatUnit: 4,
+    accent: true,
+    subdivision: 1 // clicks per beat: 1, 2 (eighths), 3 (triplets), 4 (sixteenths)
+  });
+
+  class Metronome {
+    // getContext: () => AudioContext (shared with the AudioEngine)
+    constructor(getContext, options = {}) {
+      this.getContext = getContext;
+      this.options = { ...DEFAULTS };
+      this.configure(options);
+
+      this.ctx = null;
+      this.timer = null;
+      this.nextTime = 0;
+      this.tickIndex = 0;
+      this.recent = [];
+      this.listeners = [];
+    }
+
+    configure(options = {}) {
+      for (const key in options) {
+        if (options[key] == null || !(key in DEFAULTS)) continue;
+        this.options[key] = options[key];
+      }
+      const o = this.options;
+      o.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, Number(o.bpm) || DEFAULTS.bpm));
+      o.beatsPerBar = Math.max(1, parseInt(o.beatsPerBar, 10) || DEFAULTS.beatsPerBar);
+      o.beatUnit = BEAT_UNITS.includes(Number(o.beatUnit)) ? Number(o.beatUnit) : DEFAULTS.beatUnit;
+      o.subdivision = Math.max(1, parseInt(o.subdivision, 10) || 1);
+    }
+
+    getOptions() {
+      return { ...this.options };
+    }
+
+    // BPM counts quarter notes, so a 6/8 beat (an eighth) is half as long
+    get secondsPerBeat() {
+      return (60 / this.options.bpm) * (4 / this.options.beatUnit);
+    }
+
+    isRunning() {
+      return !!this.timer;
+    }
+
+    start() {
+      if (this.timer) return;
+      this.ctx = this.getContext();
+      this.nextTime = this.ctx.currentTime + START_DELAY_S;
+      this.tickIndex = 0;
+      this.recent = [];
+      this.schedule();
+      this.timer = setInterval(() => this.schedule(), LOOKAHEAD_MS);
+    }
+
+    stop() {
+      if (this.timer) clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    // listener({ time, beat, bar, sub, accent }) fires when the tick is
+    // heard (time is its exact context time). Returns an unsubscribe.
+    onTick(listener) {
+      this.listeners.push(listener);
+      return () => {
+        this.listeners = this.listeners.filter((l) => l !== listener);
+      };
+    }
+
+    schedule() {
+      const { beatsPerBar, subdivision, accent } = this.options;
+      while (this.nextTime < this.ctx.currentTime + SCHEDULE_AHEAD_S) {
+        const sub = this.tickIndex % subdivision;
+        const beatIndex = Math.floor(this.tickIndex / subdivision);
+        const tick = {
+          time: this.nextTime,
+          beat: beatIndex % beatsPerBar,
+          bar: Math.floor(beatIndex / beatsPerBar),
+          sub,
+          accent: accent && sub === 0 && beatIndex % beatsPerBar === 0
+        };
+
+        this.click(tick);
+        this.recent.push(tick);
+        if (this.recent.length > RECENT_TICKS) this.recent.shift();
+        this.notify(tick);
+
+        this.nextTime += this.secondsPerBeat / subdivision;
+        this.tickIndex += 1;
+      }
+    }
+
+    click(tick) {
+      const kind = tick.sub ? CLICK.sub : tick.accent ? CLICK.accent : CLICK.beat;
+      const osc = this.ctx.createOscillator();
+      const env = this.ctx.createGain();
+      osc.frequency.value = kind.freq;
+      env.gain.setValueAtTime(kind.gain, tick.time);
+      env.gain.exponentialRampToValueAtTime(0.001, tick.time + CLICK_S);
+      osc.connect(env);
+      env.connect(this.ctx.destination);
+      osc.start(tick.time);
+      osc.stop(tick.time + CLICK_S);
+    }
+
+    notify(tick) {
+      const delayMs = Math.max(0, (tick.time - this.ctx.currentTime) * 1000);
+      setTimeout(() => {
+        if (!this.timer) return;
+        this.listeners.forEach((l) => l(tick));
+      }, delayMs);
+    }
+
+    // Nearest click (mainOnly: nearest beat) to a context time, with the
+    // signed offset in ms (negative = early). Ticks up to one beat past
+    // the queue count too, so early hits aren't scored as very late.
+    nearestTick(time, { mainOnly = false } = {}) {
+      if (!this.recent.length) return null;
+      const { subdivision } = this.options;
+      const step = this.secondsPerBeat / subdivision;
+      const last = this.recent[this.recent.length - 1];
+      const candidates = this.recent.slice();
+      for (let k = 1; k <= subdivision; k++) {
+        candidates.push({ time: last.time + k * step, sub: (last.sub + k) % subdivision });
+      }
+
+      let best = null;
+      for (const c of candidates) {
+        if (mainOnly && c.sub !== 0) continue;
+        if (!best || Math.abs(c.time - time) < Math.abs(best.time - time)) best = c;
+      }
+      if (!best) return null;
+      return { ...best, offsetMs: (time - best.time) * 1000 };
+    }
+  }
+
+  window.Metronome = {
+    DEFAULTS,
+    MIN_BPM,
+    MAX_BPM,
+    Metronome
+  };
+})();
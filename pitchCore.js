@@ -0,0 +1,544 @@
+// pitchCore.js
+// Pitch detection + sustain gate shared by the main thread (ScriptProcessor
+// fallback) and the AudioWorklet. No DOM access here: this file is also
+// loaded into the AudioWorkletGlobalScope, where there is no `window`.
+(function (root) {
+  // -----------------------------
+  // Defaults (6-string guitar, desktop input)
+  // -----------------------------
+  const DEFAULT_CONFIG = Object.freeze({
+    minF0: 70,
+    maxF0: 1000,
+
+    detector: "yin",
+    clarityThreshold: 0.8,   // reject YIN frames less confident than this
+
+    amplitudeThreshold: 0.05, // peak gate
+    // RMS is usually lower than peak, so the gate scales down from it
+    rmsOn: 0.05 * 0.55,       // start tracking
+    rmsOff: 0.05 * 0.45,      // keep tracking (hysteresis)
+
+    sustainMs: 140,           // pitch must be stable this long to count
+    stableCents: 25,          // allowable drift while "stable"
+    rearmMs: 120              // cooldown after a trigger
+  });
+
+  const YIN_THRESHOLD = 0.15; // CMNDF dip that counts as "periodic"
+
+  // -----------------------------
+  // Helpers
+  // -----------------------------
+  function rms(buffer) {
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const x = buffer[i];
+      sum += x * x;
+    }
+    return Math.sqrt(sum / buffer.length);
+  }
+
+  function peak(buffer) {
+    let max = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      const a = Math.abs(buffer[i]);
+      if (a > max) max = a;
+    }
+    return max;
+  }
+
+  // Time (ms) of the first sample reaching `level` in a frame that starts
+  // at frameStartMs; refines an onset to better than one frame
+  function attackTime(frame, level, frameStartMs, sampleRate) {
+    let i = 0;
+    while (i < frame.length && Math.abs(frame[i]) < level) i++;
+    if (i === frame.length) i = 0;
+    return frameStartMs + (i / sampleRate) * 1000;
+  }
+
+  function centsDiff(f1, f2) {
+    return 1200 * Math.log2(f1 / f2);
+  }
+
+  // Pick the analysed signal from a set of channel buffers: a channel
+  // index, or "mix" for a mono mixdown written into `out`.
+  function selectChannel(channels, selection, out) {
+    if (selection !== "mix") return channels[selection] || channels[0];
+    if (channels.length === 1) return channels[0];
+
+    const n = channels[0].length;
+    const inv = 1 / channels.length;
+    for (let i = 0; i < n; i++) {
+      let sum = 0;
+      for (let c = 0; c < channels.length; c++) sum += channels[c][i];
+      out[i] = sum * inv;
+    }
+    return out;
+  }
+
+  // DC-free, peak-normalized copy of the frame, or null below the peak gate
+  function prepareFrame(buf, amplitudeThreshold) {
+    const n = buf.length;
+    if (n === 0) return null;
+
+    // DC offset removal
+    let mean = 0;
+    for (let i = 0; i < n; i++) mean += buf[i];
+    mean /= n;
+
+    // Normalize by peak
+    let peak = 0;
+    const x = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const v = buf[i] - mean;
+      x[i] = v;
+      const a = Math.abs(v);
+      if (a > peak) peak = a;
+    }
+
+    if (peak < amplitudeThreshold) return null;
+
+    const invPeak = 1 / peak;
+    for (let i = 0; i < n; i++) x[i] *= invPeak;
+    return x;
+  }
+
+  // -----------------------------
+  // Detectors: (frame, sampleRate, config) → { freq, confidence } | null
+  // -----------------------------
+
+  // Legacy detector: full O(n²) autocorrelation, largest peak wins.
+  // Kept for A/B comparison; its confidence is reported but never gated.
+  function detectPitchAutocorr(x, sampleRate, cfg) {
+    const n = x.length;
+
+    // Autocorrelation
+    const corr = new Float32Array(n);
+    for (let lag = 0; lag < n; lag++) {
+      let sum = 0;
+      for (let i = 0; i < n - lag; i++) {
+        sum += x[i] * x[i + lag];
+      }
+      corr[lag] = sum;
+    }
+
+    const minLag = Math.max(1, Math.floor(sampleRate / cfg.maxF0));
+    let maxLag = Math.floor(sampleRate / cfg.minF0);
+    if (maxLag >= n) maxLag = n - 1;
+    if (minLag >= maxLag) return null;
+
+    // Ignore impossible lags
+    for (let i = 0; i < minLag; i++) corr[i] = 0;
+
+    // Find best lag
+    let bestLag = minLag;
+    let bestVal = corr[minLag];
+    for (let lag = minLag + 1; lag <= maxLag; lag++) {
+      if (corr[lag] > bestVal) {
+        bestVal = corr[lag];
+        bestLag = lag;
+      }
+    }
+
+    if (bestLag <= 0) return null;
+
+    // Unbiased peak height relative to lag 0 as a rough 0..1 confidence
+    let energy = 0;
+    for (let i = 0; i < n; i++) energy += x[i] * x[i];
+    const confidence = energy > 0
+      ? Math.max(0, Math.min(1, (bestVal / (n - bestLag)) / (energy / n)))
+      : 0;
+
+    return { freq: sampleRate / bestLag, confidence };
+  }
+
+  // YIN (de Cheveigné & Kawahara 2002): cumulative mean normalized
+  // difference, first dip under YIN_THRESHOLD, parabolic interpolation.
+  // Taking the *first* dip rather than the deepest one is what avoids
+  // locking onto sub-harmonics on the low strings.
+  function detectPitchYin(x, sampleRate, cfg) {
+    const n = x.length;
+    const minLag = Math.max(2, Math.floor(sampleRate / cfg.maxF0));
+    const maxLag = Math.min(Math.floor(sampleRate / cfg.minF0), Math.floor(n / 2) - 1);
+    if (minLag >= maxLag) return null;
+
+    const span = n - maxLag - 1;
+    const cmnd = new Float32Array(maxLag + 2);
+    cmnd[0] = 1;
+
+    let running = 0;
+    for (let tau = 1; tau <= maxLag + 1; tau++) {
+      let sum = 0;
+      for (let i = 0; i < span; i++) {
+        const d = x[i] - x[i + tau];
+        sum += d * d;
+      }
+      running += sum;
+      cmnd[tau] = running > 0 ? (sum * tau) / running : 1;
+    }
+
+    let tau = -1;
+    for (let t = minLag; t <= maxLag; t++) {
+      if (cmnd[t] < YIN_THRESHOLD) {
+        while (t + 1 <= maxLag && cmnd[t + 1] < cmnd[t]) t++;
+        tau = t;
+        break;
+      }
+    }
+
+    // No clear dip: fall back to the global minimum (low confidence)
+    if (tau < 0) {
+      tau = minLag;
+      for (let t = minLag + 1; t <= maxLag; t++) {
+        if (cmnd[t] < cmnd[tau]) tau = t;
+      }
+    }
+
+    const confidence = Math.max(0, Math.min(1, 1 - cmnd[tau]));
+    if (confidence < cfg.clarityThreshold) return null;
+
+    return { freq: sampleRate / parabolicPeak(cmnd, tau), confidence };
+  }
+
+  // Sub-sample lag from the parabola through tau-1, tau, tau+1
+  function parabolicPeak(arr, tau) {
+    if (tau < 1 || tau + 1 >= arr.length) return tau;
+    const a = arr[tau - 1];
+    const b = arr[tau];
+    const c = arr[tau + 1];
+    const denom = a - 2 * b + c;
+    if (denom === 0) return tau;
+    return tau + (a - c) / (2 * denom);
+  }
+
+  const DETECTORS = Object.freeze({
+    yin: { label: "YIN", detect: detectPitchYin },
+    autocorr: { label: "Autocorrelation (legacy)", detect: detectPitchAutocorr }
+  });
+
+  function listDetectors() {
+    return Object.keys(DETECTORS).map((id) => ({ id, label: DETECTORS[id].label }));
+  }
+
+  // -----------------------------
+  // Polyphonic path: FFT chroma for strummed chords
+  // -----------------------------
+  const CHROMA_WINDOW = 8192;        // ~5 Hz bins: enough to split E2/F2
+  const CHROMA_MAX_FREQ = 2000;      // chord fundamentals live well below this
+  const PEAK_FLOOR = 0.05;           // ignore peaks under 5 % of the loudest
+  const BASS_FLOOR = 0.15;           // lowest peak this strong is the bass
+  const HARMONIC_TOLERANCE = 0.02;   // 2 % ≈ 35 cents
+  // Overtones that land on a *different* pitch class than their
+  // fundamental (3rd = fifth, 5th = major third, 7th = minor seventh …).
+  // Octave overtones (2, 4, 8) are harmless and stay in.
+  const MISLEADING_HARMONICS = [3, 5, 6, 7, 9, 10, 12];
+  const STRUM_ONSET_RATIO = 1.8;     // RMS jump that counts as a new strum
+
+  // In-place iterative radix-2 FFT
+  function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = (-2 * Math.PI) / len;
+      const wRe = Math.cos(ang);
+      const wIm = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let curRe = 1;
+        let curIm = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const a = i + k;
+          const b = a + len / 2;
+          const tRe = re[b] * curRe - im[b] * curIm;
+          const tIm = re[b] * curIm + im[b] * curRe;
+          re[b] = re[a] - tRe;
+          im[b] = im[a] - tIm;
+          re[a] += tRe;
+          im[a] += tIm;
+          const nextRe = curRe * wRe - curIm * wIm;
+          curIm = curRe * wIm + curIm * wRe;
+          curRe = nextRe;
+        }
+      }
+    }
+  }
+
+  function freqToPitchClass(freq) {
+    const midi = Math.round(69 + 12 * Math.log2(freq / 440));
+    return ((midi % 12) + 12) % 12;
+  }
+
+  // Spectral peaks → chroma (energy per pitch class, max = 1) plus the
+  // lowest strong tone. Peaks explained as overtones of a lower peak are
+  // dropped so a minor chord doesn't pick up its root's major third —
+  // unless a lower kept peak already sounds that pitch class: in a triad
+  // 3× the root is also the fifth's octave, and must still count.
+  function analyzeChroma(samples, sampleRate, cfg = DEFAULT_CONFIG) {
+    const n = samples.length;
+    const re = new Float32Array(n);
+    const im = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const hann = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+      re[i] = samples[i] * hann;
+    }
+    fft(re, im);
+
+    const binHz = sampleRate / n;
+    const lo = Math.max(1, Math.floor((cfg.minF0 * 0.95) / binHz));
+    const hi = Math.min(n / 2 - 1, Math.ceil(CHROMA_MAX_FREQ / binHz));
+
+    const mag = new Float32Array(hi + 2);
+    let maxMag = 0;
+    for (let k = lo - 1; k <= hi + 1; k++) {
+      mag[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      if (k >= lo && k <= hi && mag[k] > maxMag) maxMag = mag[k];
+    }
+    if (maxMag === 0) return null;
+
+    const peaks = [];
+    for (let k = lo; k <= hi; k++) {
+      if (mag[k] < maxMag * PEAK_FLOOR) continue;
+      if (mag[k] <= mag[k - 1] || mag[k] < mag[k + 1]) continue;
+      const offset = parabolicPeak(mag, k) - k;
+      peaks.push({ freq: (k + offset) * binHz, mag: mag[k] });
+    }
+
+    const chroma = new Array(12).fill(0);
+    let bass = null;
+
+    const keptPcs = new Set();
+
+    for (const p of peaks) {
+      const pc = freqToPitchClass(p.freq);
+      const isOvertone = peaks.some((q) => {
+        if (q.freq >= p.freq || q.mag < p.mag * 0.3) return false;
+        return MISLEADING_HARMONICS.some((h) => Math.abs(p.freq / (q.freq * h) - 1) < HARMONIC_TOLERANCE);
+      });
+      if (isOvertone && !keptPcs.has(pc)) continue;
+
+      keptPcs.add(pc);
+      chroma[pc] += p.mag;
+      if (!bass && p.mag >= maxMag * BASS_FLOOR) bass = p;
+    }
+
+    const top = Math.max(...chroma);
+    if (top === 0) return null;
+    return {
+      chroma: chroma.map((v) => v / top),
+      bassPc: bass ? freqToPitchClass(bass.freq) : null,
+      bassFreq: bass ? bass.freq : null
+    };
+  }
+
+  // Watches analysis frames for a strum (RMS jump over the gate), waits
+  // until the chroma window holds only post-attack audio, then analyses
+  // it once. One result per strum.
+  class StrumDetector {
+    constructor(sampleRate, config = {}) {
+      this.sampleRate = sampleRate;
+      this.config = { ...DEFAULT_CONFIG };
+      this.configure(config);
+
+      this.history = new Float32Array(CHROMA_WINDOW);
+      this.reset();
+    }
+
+    configure(config = {}) {
+      for (const key in config) {
+        if (config[key] == null || !(key in DEFAULT_CONFIG)) continue;
+        this.config[key] = config[key];
+      }
+    }
+
+    reset() {
+      this.history.fill(0);
+      this.prevRms = 0;
+      this.pendingSamples = -1; // samples still to collect after an onset
+      this.armed = true;
+    }
+
+    // nowMs: time at the end of this frame; the chord carries onsetMs
+    process(frame, nowMs = 0) {
+      const cfg = this.config;
+      const n = Math.min(frame.length, CHROMA_WINDOW);
+
+      // Slide the window
+      this.history.copyWithin(0, n);
+      this.history.set(frame.subarray(frame.length - n), CHROMA_WINDOW - n);
+
+      const level = rms(frame);
+      const prev = this.prevRms;
+      this.prevRms = level;
+
+      if (level < cfg.rmsOff) this.armed = true;
+
+      if (this.pendingSamples < 0) {
+        if (this.armed && level >= cfg.rmsOn && level >= prev * STRUM_ONSET_RATIO) {
+          this.armed = false;
+          const frameMs = (frame.length / this.sampleRate) * 1000;
+          this.onsetMs = attackTime(frame, cfg.rmsOn, nowMs - frameMs, this.sampleRate);
+          // Skip the onset frame itself, then fill a whole window
+          this.pendingSamples = CHROMA_WINDOW;
+        }
+        return null;
+      }
+
+      this.pendingSamples -= frame.length;
+      if (this.pendingSamples > 0) return null;
+
+      this.pendingSamples = -1;
+      const analysis = analyzeChroma(this.history, this.sampleRate, cfg);
+      return analysis ? { ...analysis, onsetMs: this.onsetMs } : null;
+    }
+  }
+
+  // -----------------------------
+  // Pitch tracker: RMS gate → detector → stability timer → one event
+  // per sustained note. Time is passed in (ms) because the worklet has
+  // no performance.now().
+  // -----------------------------
+  class PitchTracker {
+    constructor(sampleRate, config = {}) {
+      this.sampleRate = sampleRate;
+      this.config = { ...DEFAULT_CONFIG };
+      this.configure(config);
+
+      this.lastFireAt = -Infinity;
+      this.wasLoud = false;
+      this.attackMs = null;
+      this.reset();
+    }
+
+    configure(config = {}) {
+      for (const key in config) {
+        if (config[key] == null || !(key in DEFAULT_CONFIG)) continue;
+        if (key === "detector" && !DETECTORS[config[key]]) {
+          throw new Error(`Unknown pitch detector: ${config[key]}`);
+        }
+        this.config[key] = config[key];
+      }
+    }
+
+    reset() {
+      this.stableMs = 0;
+      this.lastFreq = null;
+      this.locked = false;
+      this.lastConfidence = 0;
+      this.onsetMs = null;
+    }
+
+    // Current smoothed pitch while the gate is open (continuous tuner
+    // tracking), or null when there is nothing stable to show
+    tracking() {
+      if (this.lastFreq == null) return null;
+      return { freq: this.lastFreq, confidence: this.lastConfidence };
+    }
+
+    detect(frame) {
+      const cfg = this.config;
+      const x = prepareFrame(frame, cfg.amplitudeThreshold);
+      if (!x) return null;
+
+      const result = DETECTORS[cfg.detector].detect(x, this.sampleRate, cfg);
+      if (!result) return null;
+      if (result.freq < cfg.minF0 || result.freq > cfg.maxF0) return null;
+      return result;
+    }
+
+    // nowMs: time at the end of this frame. Returns { freq, confidence,
+    // detector, onsetMs } when a note fires, else null; onsetMs is when the
+    // note started sounding, not when it was confirmed.
+    process(frame, nowMs) {
+      const cfg = this.config;
+      const frameMs = (frame.length / this.sampleRate) * 1000;
+      const frameStartMs = nowMs - frameMs;
+
+      // --- PURPOSEFUL NOTE GATE ---
+      // Step 1: volume (RMS) gate with hysteresis
+      const level = rms(frame);
+      const loudEnough = this.locked ? (level >= cfg.rmsOff) : (level >= cfg.rmsOn);
+
+      if (!loudEnough) {
+        this.wasLoud = false;
+        this.reset();
+        return null;
+      }
+
+      // Attack = where the gate opened; pitch often settles a frame later
+      if (!this.wasLoud) {
+        this.wasLoud = true;
+        this.attackMs = attackTime(frame, cfg.rmsOn, frameStartMs, this.sampleRate);
+      }
+
+      // Step 2: pitch detect
+      const result = this.detect(frame);
+      if (!result) {
+        // If we can't detect pitch but we are loud, keep it conservative:
+        // reset so random noise doesn't accumulate "stability time"
+        this.reset();
+        return null;
+      }
+
+      const freq = result.freq;
+      this.lastConfidence = result.confidence;
+
+      // Step 3: stability timer in cents
+      if (this.lastFreq == null) {
+        this.lastFreq = freq;
+        this.stableMs = 0;
+        this.onsetMs = this.attackMs != null ? this.attackMs : frameStartMs;
+        this.attackMs = null;
+        return null;
+      }
+
+      const cd = Math.abs(centsDiff(freq, this.lastFreq));
+
+      if (cd <= cfg.stableCents) {
+        this.stableMs += frameMs;
+        // small smoothing so lastFreq doesn't jump with tiny variance
+        this.lastFreq = 0.85 * this.lastFreq + 0.15 * freq;
+      } else {
+        // Not stable yet; restart around new pitch (legato: no new attack)
+        this.stableMs = 0;
+        this.lastFreq = freq;
+        this.locked = false;
+        this.onsetMs = frameStartMs;
+        return null;
+      }
+
+      // Step 4: fire once when sustained long enough (with cooldown)
+      if (!this.locked && this.stableMs >= cfg.sustainMs) {
+        if (nowMs - this.lastFireAt >= cfg.rearmMs) {
+          this.locked = true;
+          this.lastFireAt = nowMs;
+          return {
+            freq: this.lastFreq,
+            confidence: this.lastConfidence,
+            detector: cfg.detector,
+            onsetMs: this.onsetMs
+          };
+        }
+      }
+
+      return null;
+    }
+  }
+
+  root.PitchCore = {
+    DEFAULT_CONFIG,
+    listDetectors,
+    rms,
+    peak,
+    centsDiff,
+    selectChannel,
+    analyzeChroma,
+    PitchTracker,
+    StrumDetector
+  };
+})(typeof window !== "undefined" ? window : globalThis);
@@ -0,0 +1,105 @@
+// pitchWorklet.js
+// AudioWorklet side of the AudioEngine. Loaded after pitchCore.js via
+// audioWorklet.addModule(), so PitchCore is already in this global scope.
+// Collects render quanta (128 frames) into analysis frames, runs the
+// shared PitchTracker and posts one "note" message per sustained note
+// (times are AudioContext ms, so onsets line up with scheduled audio),
+// plus input levels (and optionally the tracked pitch) once per frame and
+// a "chord" message per strum when chord analysis is on.
+class PitchProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = (options && options.processorOptions) || {};
+
+    this.channel = opts.channel != null ? opts.channel : 0;
+    this.stopped = false;
+    this.trackingEnabled = !!opts.tracking;
+    this.wasTracking = false;
+    this.frame = new Float32Array(opts.bufferSize || 2048);
+    this.fill = 0;
+    this.mix = new Float32Array(128);
+    this.levelSums = [];
+    this.levelCount = 0;
+    this.tracker = new PitchCore.PitchTracker(sampleRate, opts.config);
+    this.strums = opts.chords ? new PitchCore.StrumDetector(sampleRate, opts.config) : null;
+
+    this.port.onmessage = (event) => {
+      const msg = event.data || {};
+      if (msg.type === "config") {
+        this.tracker.configure(msg.config);
+        if (this.strums) this.strums.configure(msg.config);
+      }
+      if (msg.type === "channel") this.channel = msg.channel;
+      if (msg.type === "reset") this.tracker.reset();
+      // The context outlives the mic session; let the processor go
+      if (msg.type === "stop") this.stopped = true;
+    };
+  }
+
+  accumulateLevels(input) {
+    for (let c = 0; c < input.length; c++) {
+      const data = input[c];
+      let sum = 0;
+      for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+      this.levelSums[c] = (this.levelSums[c] || 0) + sum;
+    }
+    this.levelSums.length = input.length;
+    this.levelCount += input[0].length;
+  }
+
+  // Per-channel RMS plus RMS/peak of the analysed frame (for calibration)
+  postLevels() {
+    const count = this.levelCount || 1;
+    const channels = this.levelSums.map((sum) => Math.sqrt(sum / count));
+    this.port.postMessage({
+      type: "levels",
+      channels,
+      rms: PitchCore.rms(this.frame),
+      peak: PitchCore.peak(this.frame),
+      frameMs: (this.frame.length / sampleRate) * 1000
+    });
+    this.levelSums = [];
+    this.levelCount = 0;
+  }
+
+  // Every frame while pitched, plus one null when the pitch goes away
+  postTracking() {
+    const current = this.tracker.tracking();
+    if (!current && !this.wasTracking) return;
+    this.wasTracking = !!current;
+    this.port.postMessage({ type: "track", freq: current ? current.freq : null, confidence: current ? current.confidence : 0 });
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    if (this.mix.length !== input[0].length) this.mix = new Float32Array(input[0].length);
+    const data = PitchCore.selectChannel(input, this.channel, this.mix);
+    this.accumulateLevels(input);
+
+    let offset = 0;
+    while (offset < data.length) {
+      const n = Math.min(data.length - offset, this.frame.length - this.fill);
+      this.frame.set(data.subarray(offset, offset + n), this.fill);
+      this.fill += n;
+      offset += n;
+
+      if (this.fill === this.frame.length) {
+        this.fill = 0;
+        this.postLevels();
+        const note = this.tracker.process(this.frame, currentTime * 1000);
+        if (note) this.port.postMessage({ type: "note", ...note });
+        if (this.trackingEnabled) this.postTracking();
+        if (this.strums) {
+          const chord = this.strums.process(this.frame, currentTime * 1000);
+          if (chord) this.port.postMessage({ type: "chord", ...chord });
+        }
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("pitch-processor", PitchProcessor);
@@ -0,0 +1,257 @@
+// practiceExport.js
+// Export of the practice history (sessions + single-note and triad
+// attempts) and settings as JSON, or attempts as CSV for spreadsheets.
+// Imports either format after validating every entry, and merges by
+// attempt/session id so importing the same file twice adds nothing.
+(function () {
+  const FORMAT = "guitarHelper.practice";
+  const VERSION = 1;
+
+  const CSV_COLUMNS = [
+    "id", "session_id", "time", "mode", "deck", "target", "string", "fret", "target_midi",
+    "root", "quality", "inversion", "heard", "heard_midi", "hz", "correct", "latency_ms", "timing_ms", "timed_out", "strict", "answer"
+  ];
+
+  // ---------- Export ----------
+  // Everything under the Settings prefix except the history itself
+  function collectSettings() {
+    const out = {};
+    for (const key of window.Settings.keys()) {
+      if (key.startsWith(window.PracticeStore.HISTORY_KEY_PREFIX)) continue;
+      out[key] = window.Settings.get(key);
+    }
+    return out;
+  }
+
+  function toJson() {
+    const data = {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      sessions: window.PracticeStore.getSessions(),
+      attempts: window.PracticeStore.getAttempts(),
+      settings: collectSettings()
+    };
+    return JSON.stringify(data, null, 2);
+  }
+
+  function csvCell(value) {
+    if (value == null) return "";
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function heardText(heard) {
+    if (!heard) return "";
+    if (heard.pitchClasses) return heard.pitchClasses.join(" ");
+    return heard.name || "";
+  }
+
+  function attemptToRow(a) {
+    const t = a.target || {};
+    const isNote = a.mode === window.PracticeStore.AttemptMode.NOTE;
+    return {
+      id: a.id,
+      session_id: a.sessionId,
+      time: new Date(a.ts).toISOString(),
+      mode: a.mode,
+      deck: a.deck,
+      target: isNote ? t.name : t.label,
+      string: t.string,
+      fret: t.fret,
+      target_midi: t.midi,
+      root: t.root,
+      quality: t.quality,
+      inversion: t.inversion,
+      heard: heardText(a.heard),
+      heard_midi: a.heard ? a.heard.midi : null,
+      hz: a.hz,
+      correct: a.correct ? 1 : 0,
+      latency_ms: a.latencyMs,
+      timing_ms: a.timingsMs ? a.timingsMs.join(" ") : a.timingMs,
+      timed_out: a.timedOut ? 1 : null,
+      strict: a.strict == null ? null : (a.strict ? 1 : 0),
+      answer: a.answer
+    };
+  }
+
+  function toCsv() {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const a of window.PracticeStore.getAttempts()) {
+      const row = attemptToRow(a);
+      lines.push(CSV_COLUMNS.map((c) => csvCell(row[c])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  // ---------- Validation ----------
+  function isFiniteNumber(v) {
+    return typeof v === "number" && Number.isFinite(v);
+  }
+
+  // Returns what's wrong with an attempt, or null when it is usable
+  function attemptProblem(a) {
+    const modes = Object.values(window.PracticeStore.AttemptMode);
+    if (!a || typeof a !== "object") return "not an object";
+    if (typeof a.id !== "string" || !a.id) return "missing id";
+    if (!isFiniteNumber(a.ts)) return "missing or invalid time";
+    if (!modes.includes(a.mode)) return `unknown mode "${a.mode}"`;
+    if (typeof a.correct !== "boolean") return "missing correct flag";
+    if (!a.target || typeof a.target !== "object") return "missing target";
+    if (a.mode === window.PracticeStore.AttemptMode.NOTE) {
+      if (!isFiniteNumber(a.target.string) || !isFiniteNumber(a.target.fret)) return "target needs string and fret";
+    } else if (typeof a.target.root !== "string" || typeof a.target.quality !== "string") {
+      return "triad target needs root and quality";
+    }
+    if (a.latencyMs != null && !isFiniteNumber(a.latencyMs)) return "invalid latency";
+    if (a.hz != null && !isFiniteNumber(a.hz)) return "invalid Hz";
+    return null;
+  }
+
+  function sessionProblem(s) {
+    if (!s || typeof s !== "object") return "not an object";
+    if (typeof s.id !== "string" || !s.id) return "missing id";
+    if (!isFiniteNumber(s.startedAt)) return "missing start time";
+    return null;
+  }
+
+  function validateAll(list, problemFor, what) {
+    if (!Array.isArray(list)) throw new Error(`"${what}" must be a list.`);
+    list.forEach((entry, i) => {
+      const problem = problemFor(entry);
+      if (problem) throw new Error(`${what} #${i + 1}: ${problem}.`);
+    });
+  }
+
+  // ---------- Import ----------
+  function parseJson(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error("Not a valid JSON file.");
+    }
+    if (!data || data.format !== FORMAT) throw new Error("This JSON file is not a GuitarHelper practice export.");
+    if (!(data.version <= VERSION)) throw new Error(`Export version ${data.version} is newer than this app supports.`);
+
+    const attempts = data.attempts || [];
+    const sessions = data.sessions || [];
+    validateAll(attempts, attemptProblem, "Attempt");
+    validateAll(sessions, sessionProblem, "Session");
+
+    const settings = data.settings && typeof data.settings === "object" ? data.settings : {};
+    return { attempts, sessions, settings };
+  }
+
+  // RFC 4180-ish: quoted cells may hold commas, quotes ("") and newlines
+  function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') quoted = true;
+      else if (ch === ",") { row.push(cell); cell = ""; }
+      else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && text[i + 1] === "\n") i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else cell += ch;
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows.filter((r) => r.some((c) => c !== ""));
+  }
+
+  function numberOrNull(text) {
+    if (text === "" || text == null) return null;
+    const n = Number(text);
+    return Number.isFinite(n) ? n : NaN;
+  }
+
+  function rowToAttempt(r) {
+    const isNote = r.mode === window.PracticeStore.AttemptMode.NOTE;
+    const target = isNote
+      ? { string: numberOrNull(r.string), fret: numberOrNull(r.fret), midi: numberOrNull(r.target_midi), name: r.target }
+      : { root: r.root, quality: r.quality, inversion: numberOrNull(r.inversion), string: numberOrNull(r.string), label: r.target };
+
+    let heard = null;
+    if (r.heard) {
+      heard = isNote || r.heard_midi !== ""
+        ? { name: r.heard, midi: numberOrNull(r.heard_midi) }
+        : { pitchClasses: r.heard.split(" ") };
+    }
+
+    const attempt = {
+      id: r.id,
+      ts: Date.parse(r.time),
+      mode: r.mode,
+      target,
+      heard,
+      hz: numberOrNull(r.hz),
+      correct: r.correct === "1" ? true : r.correct === "0" ? false : null,
+      latencyMs: numberOrNull(r.latency_ms)
+    };
+    if (r.session_id) attempt.sessionId = r.session_id;
+    if (r.deck) attempt.deck = r.deck;
+    if (r.timing_ms) {
+      const timings = r.timing_ms.split(" ").map(Number);
+      if (isNote) attempt.timingMs = timings[0];
+      else attempt.timingsMs = timings;
+    }
+    if (r.timed_out === "1") attempt.timedOut = true;
+    if (r.strict) attempt.strict = r.strict === "1";
+    if (r.answer) attempt.answer = r.answer;
+    return attempt;
+  }
+
+  function parseCsv(text) {
+    const rows = parseCsvRows(text);
+    if (!rows.length) throw new Error("The CSV file is empty.");
+
+    const header = rows[0].map((h) => h.trim());
+    const missing = ["id", "time", "mode", "correct"].filter((c) => !header.includes(c));
+    if (missing.length) throw new Error(`CSV is missing column(s): ${missing.join(", ")}.`);
+
+    const attempts = rows.slice(1).map((cells) => {
+      const r = {};
+      header.forEach((h, i) => { r[h] = cells[i] != null ? cells[i] : ""; });
+      return rowToAttempt(r);
+    });
+    validateAll(attempts, attemptProblem, "Row");
+    return { attempts, sessions: [], settings: {} };
+  }
+
+  // Returns { attempts, sessions, settings } counts of what was added
+  function importText(text, { format, restoreSettings = false } = {}) {
+    const kind = format || (text.trim().startsWith("{") ? "json" : "csv");
+    const data = kind === "json" ? parseJson(text) : parseCsv(text);
+
+    const added = window.PracticeStore.merge(data);
+    let settings = 0;
+    if (restoreSettings) {
+      for (const key in data.settings) {
+        if (key.startsWith(window.PracticeStore.HISTORY_KEY_PREFIX)) continue;
+        window.Settings.set(key, data.settings[key]);
+        settings += 1;
+      }
+    }
+    return { ...added, settings, total: data.attempts.length };
+  }
+
+  window.PracticeExport = {
+    toJson,
+    toCsv,
+    importText
+  };
+})();
@@ -0,0 +1,236 @@
+// practiceStore.js
+// Persistent practice history (localStorage via Settings). Every answer
+// is stored as an attempt — target, heard note, Hz, correctness and
+// latency — grouped into sessions, plus the aggregations the stats view
+// is built from.
+(function () {
+  const HISTORY_KEY_PREFIX = "history.";
+  const ATTEMPTS_KEY = HISTORY_KEY_PREFIX + "attempts";
+  const SESSIONS_KEY = HISTORY_KEY_PREFIX + "sessions";
+
+  // Keeps localStorage well under its ~5 MB quota (shared with every
+  // other setting); oldest entries go first
+  const MAX_ATTEMPTS = 5000;
+  const MAX_SESSIONS = 500;
+
+  // Attempts are saved in batches, not one whole-history write per note
+  const SAVE_DELAY_MS = 3000;
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const AttemptMode = Object.freeze({
+    NOTE: "note",
+    TRIAD: "triad"
+  });
+
+  let attempts = null;
+  let sessions = null;
+  let saveTimer = null;
+  let saveListener = null;
+
+  function load() {
+    if (attempts) return;
+    attempts = window.Settings.get(ATTEMPTS_KEY, []);
+    sessions = window.Settings.get(SESSIONS_KEY, []);
+  }
+
+  function write() {
+    const attemptsOk = window.Settings.set(ATTEMPTS_KEY, attempts);
+    return window.Settings.set(SESSIONS_KEY, sessions) && attemptsOk;
+  }
+
+  // Out of quota: drop the oldest quarter of the attempts and try once
+  // more. The listener hears { saved, dropped } whenever the first try failed.
+  function persist() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (attempts.length > MAX_ATTEMPTS) attempts = attempts.slice(-MAX_ATTEMPTS);
+    if (sessions.length > MAX_SESSIONS) sessions = sessions.slice(-MAX_SESSIONS);
+
+    if (write()) return true;
+    const all = attempts;
+    const dropped = Math.ceil(all.length / 4);
+    attempts = all.slice(dropped);
+    const saved = write();
+    // Nothing saved either way: keep this visit's history in memory
+    if (!saved) attempts = all;
+    if (saveListener) saveListener({ saved, dropped: saved ? dropped : 0 });
+    return saved;
+  }
+
+  function schedulePersist() {
+    if (!saveTimer) saveTimer = setTimeout(persist, SAVE_DELAY_MS);
+  }
+
+  // Writes a pending batch now (e.g. before the page goes away)
+  function flush() {
+    if (saveTimer) persist();
+  }
+
+  // listener({ saved, dropped }) after a save that ran out of space
+  function onSaveProblem(listener) {
+    saveListener = listener;
+  }
+
+  // Unique across browsers, so imported histories merge without clashes
+  function newId() {
+    return Date.now().toString(36) + "-" + Math.random().toString(36).slice(2, 10);
+  }
+
+  // ---------- Recording ----------
+  function startSession(mode, details = {}) {
+    load();
+    const session = { id: newId(), mode, startedAt: Date.now(), endedAt: null, ...details };
+    sessions.push(session);
+    persist();
+    return session.id;
+  }
+
+  // details: extra fields to keep with the session (e.g. a drill result)
+  function endSession(sessionId, details = {}) {
+    load();
+    const session = sessions.find((s) => s.id === sessionId);
+    if (!session || session.endedAt) return;
+    Object.assign(session, details);
+    session.endedAt = Date.now();
+    persist();
+  }
+
+  // attempt: { mode, sessionId, target, heard, hz, correct, latencyMs, ... }
+  function recordAttempt(attempt) {
+    load();
+    const entry = { id: newId(), ts: Date.now(), ...attempt };
+    attempts.push(entry);
+    schedulePersist();
+    return entry;
+  }
+
+  function getAttempts(filter = {}) {
+    load();
+    return attempts.filter((a) => {
+      if (filter.mode && a.mode !== filter.mode) return false;
+      if (filter.deck && a.deck !== filter.deck) return false;
+      if (filter.since && a.ts < filter.since) return false;
+      return true;
+    });
+  }
+
+  function getSessions() {
+    load();
+    return sessions.slice();
+  }
+
+  // Adds entries whose id isn't stored yet; returns how many were new
+  function mergeInto(current, incoming, timeField) {
+    const seen = new Set(current.map((e) => e.id));
+    let added = 0;
+    for (const entry of incoming) {
+      if (seen.has(entry.id)) continue;
+      seen.add(entry.id);
+      current.push(entry);
+      added += 1;
+    }
+    current.sort((x, y) => x[timeField] - y[timeField]);
+    return added;
+  }
+
+  function merge({ attempts: newAttempts = [], sessions: newSessions = [] }) {
+    load();
+    const added = {
+      attempts: mergeInto(attempts, newAttempts, "ts"),
+      sessions: mergeInto(sessions, newSessions, "startedAt")
+    };
+    persist();
+    return added;
+  }
+
+  function clear() {
+    attempts = [];
+    sessions = [];
+    persist();
+  }
+
+  // ---------- Aggregations ----------
+  function tally(map, key, correct) {
+    const row = map[key] || (map[key] = { attempts: 0, correct: 0 });
+    row.attempts += 1;
+    if (correct) row.correct += 1;
+    return row;
+  }
+
+  // "string:fret" → { attempts, correct, avgLatencyMs }
+  function noteHeatmap(list) {
+    const cells = {};
+    const latency = {};
+    for (const a of list) {
+      if (a.mode !== AttemptMode.NOTE || !a.target) continue;
+      const key = `${a.target.string}:${a.target.fret}`;
+      tally(cells, key, a.correct);
+      if (a.correct && a.latencyMs != null) {
+        const l = latency[key] || (latency[key] = { sum: 0, n: 0 });
+        l.sum += a.latencyMs;
+        l.n += 1;
+      }
+    }
+    for (const key in cells) {
+      cells[key].avgLatencyMs = latency[key] ? latency[key].sum / latency[key].n : null;
+    }
+    return cells;
+  }
+
+  // { byRoot, byQuality, byInversion } → key → { attempts, correct }
+  function triadBreakdown(list) {
+    const out = { byRoot: {}, byQuality: {}, byInversion: {} };
+    for (const a of list) {
+      if (a.mode !== AttemptMode.TRIAD || !a.target) continue;
+      tally(out.byRoot, a.target.root, a.correct);
+      tally(out.byQuality, a.target.quality, a.correct);
+      tally(out.byInversion, a.target.inversion, a.correct);
+    }
+    return out;
+  }
+
+  function dayKey(ts) {
+    const d = new Date(ts);
+    const mm = String(d.getMonth() + 1).padStart(2, "0");
+    const dd = String(d.getDate()).padStart(2, "0");
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+
+  // Last `days` calendar days (oldest first), empty days included
+  function dailyTrend(list, days = 14, now = Date.now()) {
+    const byDay = {};
+    for (const a of list) tally(byDay, dayKey(a.ts), a.correct);
+
+    const out = [];
+    for (let i = days - 1; i >= 0; i--) {
+      const key = dayKey(now - i * DAY_MS);
+      const row = byDay[key] || { attempts: 0, correct: 0 };
+      out.push({ date: key, attempts: row.attempts, correct: row.correct });
+    }
+    return out;
+  }
+
+  // A batch still waiting is written before the tab is closed or hidden
+  window.addEventListener("pagehide", flush);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") flush();
+  });
+
+  window.PracticeStore = {
+    HISTORY_KEY_PREFIX,
+    AttemptMode,
+    startSession,
+    endSession,
+    recordAttempt,
+    flush,
+    onSaveProblem,
+    getAttempts,
+    getSessions,
+    merge,
+    clear,
+    noteHeatmap,
+    triadBreakdown,
+    dailyTrend
+  };
+})();
@@ -0,0 +1,126 @@
+// progressions.js
+// Diatonic progressions written as Roman numerals, played chord by chord
+// through their chord tones. Case gives the quality (V major, ii minor),
+// ° and + mark diminished and augmented, and the figures 6 and 64 ask
+// for the first and second inversion. A b or # in front moves the root
+// from the tonic's major scale (bVII is G in A minor and Bb in C major).
+// In a minor key vii° sits on the raised 7th.
+(function () {
+  const PRESET_PROGRESSIONS = Object.freeze([
+    { id: "I-IV-V-I", numerals: "I IV V I" },
+    { id: "ii-V-I", numerals: "ii V I" },
+    { id: "vi-IV-I-V", numerals: "vi IV I V" }
+  ]);
+
+  const ROMAN_DEGREES = Object.freeze({ i: 1, ii: 2, iii: 3, iv: 4, v: 5, vi: 6, vii: 7 });
+
+  const INVERSION_FIGURES = Object.freeze({ "": 0, "6": 1, "63": 1, "64": 2 });
+
+  // Case-sensitive: "B" is no flat sign, and the numeral's case is its quality
+  const NUMERAL_PATTERN = /^(b|#|♭|♯)?([IViv]+)(°|o|\+)?(64|63|6)?$/;
+
+  function isMinorKey(key) {
+    return /m(in(or)?)?$/.test(String(key).trim());
+  }
+
+  // "V64" in C → { numeral, degree 5, quality MAJOR, inversion 2, chord }
+  function parseRomanNumeral(text, key) {
+    const { ChordQuality, Chord, keyScale, spellInterval } = window.Triads;
+    const numeral = String(text).trim();
+    const m = numeral.match(NUMERAL_PATTERN);
+    // Mixed case ("Ii") is no numeral
+    const known = m && ROMAN_DEGREES[m[2].toLowerCase()];
+    if (!known || (m[2] !== m[2].toUpperCase() && m[2] !== m[2].toLowerCase())) {
+      throw new Error(`Unrecognized Roman numeral: ${text}`);
+    }
+
+    const [, accidental = "", roman, symbol = "", figure = ""] = m;
+    const degree = ROMAN_DEGREES[roman.toLowerCase()];
+    const upper = roman === roman.toUpperCase();
+
+    let quality = upper ? ChordQuality.MAJOR : ChordQuality.MINOR;
+    if (symbol === "°" || symbol.toLowerCase() === "o") quality = ChordQuality.DIMINISHED;
+    if (symbol === "+") quality = ChordQuality.AUGMENTED;
+
+    const tonic = String(key).trim().replace(/m(in(or)?)?$/, "");
+    let root = keyScale(accidental ? tonic : key)[degree - 1];
+    if (accidental === "b" || accidental === "♭") root = spellInterval(root, -1, 0);
+    if (accidental === "#" || accidental === "♯") root = spellInterval(root, 1, 0);
+    // The leading-tone chord in minor uses the harmonic-minor 7th
+    if (!accidental && degree === 7 && quality === ChordQuality.DIMINISHED && isMinorKey(key)) {
+      root = spellInterval(root, 1, 0);
+    }
+
+    const inversion = INVERSION_FIGURES[figure];
+    return { numeral, degree, quality, inversion, chord: new Chord(root, quality, inversion) };
+  }
+
+  // "I–IV–V–I", "ii V I" or "vi, IV, I, V" → parsed numerals
+  function parseProgression(text, key) {
+    const tokens = String(text).split(/[\s,\-–—]+/).filter(Boolean);
+    if (!tokens.length) throw new Error("Empty progression");
+    return tokens.map((token) => parseRomanNumeral(token, key));
+  }
+
+  // Chord tones of each chord in turn (ascending, in the chord's
+  // inversion). Wrong notes restart the current chord; options go to each
+  // chord's TriadSequenceSession.
+  class ProgressionSession {
+    constructor(steps, options = {}) {
+      this.steps = steps.slice();
+      this.options = { ...options };
+      this.index = 0;
+      this.done = false;
+      this.wrongCount = 0;
+      this.chordSession = this._sessionFor(0);
+    }
+
+    _sessionFor(i) {
+      return new window.Triads.TriadSequenceSession(this.steps[i].chord, this.options);
+    }
+
+    get current() {
+      return this.done ? null : this.steps[this.index];
+    }
+
+    restartChord() {
+      if (!this.done) this.chordSession = this._sessionFor(this.index);
+    }
+
+    acceptNote(noteOrFreq) {
+      if (this.done) return this._payload({ status: "success", correct: true });
+
+      const res = this.chordSession.acceptNote(noteOrFreq);
+      if (res.reset) this.wrongCount += 1;
+      if (res.status !== "success") return this._payload(res);
+
+      const finished = this.steps[this.index];
+      this.index += 1;
+      if (this.index >= this.steps.length) {
+        this.done = true;
+        return this._payload({ ...res, status: "success", chordDone: finished });
+      }
+      this.chordSession = this._sessionFor(this.index);
+      return this._payload({ ...res, status: "pending", chordDone: finished });
+    }
+
+    _payload(chordResult) {
+      return {
+        ...chordResult,
+        done: this.done,
+        chordIndex: this.index,
+        chordCount: this.steps.length,
+        // Progress within the chord now being played
+        matchedCount: this.done || chordResult.chordDone ? 0 : this.chordSession.index,
+        wrongCount: this.wrongCount
+      };
+    }
+  }
+
+  window.Progressions = {
+    PRESET_PROGRESSIONS,
+    parseRomanNumeral,
+    parseProgression,
+    ProgressionSession
+  };
+})();
@@ -0,0 +1,218 @@
+// scales.js
+// Scales and modes for the scale trainer. A Scale looks like a Chord to
+// the streaming session (pitches(), size), so ScaleSequenceSession is the
+// triad session with scale steps: one octave up from the root (root to
+// root), back down, or both.
+(function () {
+  const ScaleType = Object.freeze({
+    MAJOR: "MAJOR",
+    NATURAL_MINOR: "NATURAL_MINOR",
+    HARMONIC_MINOR: "HARMONIC_MINOR",
+    MELODIC_MINOR: "MELODIC_MINOR",
+    IONIAN: "IONIAN",
+    DORIAN: "DORIAN",
+    PHRYGIAN: "PHRYGIAN",
+    LYDIAN: "LYDIAN",
+    MIXOLYDIAN: "MIXOLYDIAN",
+    AEOLIAN: "AEOLIAN",
+    LOCRIAN: "LOCRIAN",
+    MAJOR_PENTATONIC: "MAJOR_PENTATONIC",
+    MINOR_PENTATONIC: "MINOR_PENTATONIC",
+    BLUES: "BLUES"
+  });
+
+  const SEVEN_DEGREES = [1, 2, 3, 4, 5, 6, 7];
+
+  // Semitones above the root. Melodic minor is the jazz form (same both
+  // ways), not the classical one that falls back to natural minor.
+  const SCALE_PATTERNS = Object.freeze({
+    [ScaleType.MAJOR]: [0, 2, 4, 5, 7, 9, 11],
+    [ScaleType.NATURAL_MINOR]: [0, 2, 3, 5, 7, 8, 10],
+    [ScaleType.HARMONIC_MINOR]: [0, 2, 3, 5, 7, 8, 11],
+    [ScaleType.MELODIC_MINOR]: [0, 2, 3, 5, 7, 9, 11],
+    [ScaleType.IONIAN]: [0, 2, 4, 5, 7, 9, 11],
+    [ScaleType.DORIAN]: [0, 2, 3, 5, 7, 9, 10],
+    [ScaleType.PHRYGIAN]: [0, 1, 3, 5, 7, 8, 10],
+    [ScaleType.LYDIAN]: [0, 2, 4, 6, 7, 9, 11],
+    [ScaleType.MIXOLYDIAN]: [0, 2, 4, 5, 7, 9, 10],
+    [ScaleType.AEOLIAN]: [0, 2, 3, 5, 7, 8, 10],
+    [ScaleType.LOCRIAN]: [0, 1, 3, 5, 6, 8, 10],
+    [ScaleType.MAJOR_PENTATONIC]: [0, 2, 4, 7, 9],
+    [ScaleType.MINOR_PENTATONIC]: [0, 3, 5, 7, 10],
+    [ScaleType.BLUES]: [0, 3, 5, 6, 7, 10]
+  });
+
+  // Scale degree of each note: which letter it gets (the blue note is a
+  // flat fifth, so A blues has Eb, not D#)
+  const SCALE_DEGREES = Object.freeze({
+    [ScaleType.MAJOR]: SEVEN_DEGREES,
+    [ScaleType.NATURAL_MINOR]: SEVEN_DEGREES,
+    [ScaleType.HARMONIC_MINOR]: SEVEN_DEGREES,
+    [ScaleType.MELODIC_MINOR]: SEVEN_DEGREES,
+    [ScaleType.IONIAN]: SEVEN_DEGREES,
+    [ScaleType.DORIAN]: SEVEN_DEGREES,
+    [ScaleType.PHRYGIAN]: SEVEN_DEGREES,
+    [ScaleType.LYDIAN]: SEVEN_DEGREES,
+    [ScaleType.MIXOLYDIAN]: SEVEN_DEGREES,
+    [ScaleType.AEOLIAN]: SEVEN_DEGREES,
+    [ScaleType.LOCRIAN]: SEVEN_DEGREES,
+    [ScaleType.MAJOR_PENTATONIC]: [1, 2, 3, 5, 6],
+    [ScaleType.MINOR_PENTATONIC]: [1, 3, 4, 5, 7],
+    [ScaleType.BLUES]: [1, 3, 4, 5, 5, 7]
+  });
+
+  const SCALE_LABEL = Object.freeze({
+    [ScaleType.MAJOR]: "major",
+    [ScaleType.NATURAL_MINOR]: "natural minor",
+    [ScaleType.HARMONIC_MINOR]: "harmonic minor",
+    [ScaleType.MELODIC_MINOR]: "melodic minor",
+    [ScaleType.IONIAN]: "Ionian",
+    [ScaleType.DORIAN]: "Dorian",
+    [ScaleType.PHRYGIAN]: "Phrygian",
+    [ScaleType.LYDIAN]: "Lydian",
+    [ScaleType.MIXOLYDIAN]: "Mixolydian",
+    [ScaleType.AEOLIAN]: "Aeolian",
+    [ScaleType.LOCRIAN]: "Locrian",
+    [ScaleType.MAJOR_PENTATONIC]: "major pentatonic",
+    [ScaleType.MINOR_PENTATONIC]: "minor pentatonic",
+    [ScaleType.BLUES]: "blues"
+  });
+
+  const ScaleDirection = Object.freeze({
+    ASCENDING: "ascending",
+    DESCENDING: "descending",
+    UP_AND_BACK: "upAndBack"
+  });
+
+  const DIRECTION_LABEL = Object.freeze({
+    [ScaleDirection.ASCENDING]: "ascending",
+    [ScaleDirection.DESCENDING]: "descending",
+    [ScaleDirection.UP_AND_BACK]: "up and back"
+  });
+
+  // Steps { tone, octave } over one octave, root to root: tone indexes
+  // scale.pitches(), octave 1 is the root on top
+  function scaleSteps(size, direction = ScaleDirection.ASCENDING) {
+    const up = [];
+    for (let i = 0; i < size; i++) up.push({ tone: i, octave: 0 });
+    up.push({ tone: 0, octave: 1 });
+
+    switch (direction) {
+      case ScaleDirection.DESCENDING:
+        return up.slice().reverse();
+      case ScaleDirection.UP_AND_BACK:
+        return up.concat(up.slice(0, -1).reverse());
+      default:
+        return up;
+    }
+  }
+
+  function spellScale(rootName, type) {
+    const { spellInterval } = window.Triads;
+    return SCALE_PATTERNS[type].map((semi, i) => spellInterval(rootName, semi, SCALE_DEGREES[type][i] - 1));
+  }
+
+  // Sharp or flat root, whichever spells the scale with fewer accidentals
+  // (A# major → Bb major); ties keep sharps
+  function simplestScaleRoot(root, type) {
+    const { parseNote, NOTE_ORDER_SHARP, NOTE_ORDER_FLAT } = window.Triads;
+    const count = (names) => names.reduce((n, name) => n + Math.abs(parseNote(name).offset), 0);
+    const semitone = parseNote(root).semitone;
+    const sharp = NOTE_ORDER_SHARP[semitone];
+    const flat = NOTE_ORDER_FLAT[semitone];
+    return count(spellScale(flat, type)) < count(spellScale(sharp, type)) ? flat : sharp;
+  }
+
+  class Scale {
+    // spelling: { key, prefer } for how the root is written (see
+    // Triads.spellPitchClass)
+    constructor(root, type, spelling = {}) {
+      if (!SCALE_PATTERNS[type]) throw new Error(`Unsupported scale type: ${type}`);
+      this.root = window.Triads.normalizePitchClass(root);
+      this.type = type;
+      this.rootName = window.Triads.spellPitchClass(root, spelling);
+    }
+
+    get size() {
+      return SCALE_PATTERNS[this.type].length;
+    }
+
+    // Sharp pitch classes from the root up
+    pitches() {
+      return SCALE_PATTERNS[this.type].map((semi) => window.Triads.transpose(this.root, semi));
+    }
+
+    spelledPitches() {
+      return spellScale(this.rootName, this.type);
+    }
+
+    // One octave from rootMidi (a MIDI note of the root), in pitches() order
+    midiNotes(rootMidi) {
+      return SCALE_PATTERNS[this.type].map((semi) => rootMidi + semi);
+    }
+
+    label() {
+      return `${this.rootName} ${SCALE_LABEL[this.type]}`;
+    }
+  }
+
+  // Note-by-note check of a scale, with the triad session's options
+  // (midis, resetOnWrong, maxErrors, failFast, …) plus direction
+  class ScaleSequenceSession extends window.Triads.TriadSequenceSession {
+    constructor(scale, options = {}) {
+      const direction = options.direction || ScaleDirection.ASCENDING;
+      super(scale, { ...options, steps: scaleSteps(scale.size, direction) });
+      this.direction = direction;
+    }
+  }
+
+  class ScaleTrainer {
+    constructor(options = {}) {
+      const {
+        allowedRoots = window.Triads.NOTE_ORDER_SHARP.slice(),
+        allowedTypes = [ScaleType.MAJOR],
+        // Strings the root may start on
+        possibleStrings = [6, 5],
+        spelling = {}
+      } = options;
+
+      this.allowedRoots = allowedRoots.map(window.Triads.normalizePitchClass);
+      this.allowedTypes = allowedTypes.slice();
+      this.possibleStrings = possibleStrings.slice();
+      this.spelling = { ...spelling };
+    }
+
+    randomScale() {
+      const type = randomChoice(this.allowedTypes);
+      const { key, prefer = window.Triads.Spelling.AUTO } = this.spelling;
+      let root = randomChoice(this.allowedRoots);
+      if (!key && prefer === window.Triads.Spelling.AUTO) root = simplestScaleRoot(root, type);
+      return new Scale(root, type, this.spelling);
+    }
+
+    nextQuestion() {
+      return { scale: this.randomScale(), string: randomChoice(this.possibleStrings) };
+    }
+  }
+
+  function randomChoice(arr) {
+    return arr[Math.floor(Math.random() * arr.length)];
+  }
+
+  // "A Dorian, ascending from string 6"
+  function describeQuestion(scale, direction, string) {
+    return `${scale.label()}, ${DIRECTION_LABEL[direction]} from string ${string}`;
+  }
+
+  window.Scales = {
+    ScaleType,
+    ScaleDirection,
+    SCALE_LABEL,
+    scaleSteps,
+    simplestScaleRoot,
+    Scale,
+    ScaleSequenceSession,
+    ScaleTrainer,
+    describeQuestion
+  };
+})();
@@ -0,0 +1,60 @@
+// settings.js
+// Tiny localStorage wrapper for user preferences. Every key is stored
+// under PREFIX so settings can be listed (and exported) together.
+(function () {
+  const PREFIX = "guitarHelper.";
+
+  function storage() {
+    try {
+      return window.localStorage || null;
+    } catch (err) {
+      // Private mode / disabled storage: settings just don't persist
+      return null;
+    }
+  }
+
+  function get(key, fallback = null) {
+    const store = storage();
+    if (!store) return fallback;
+
+    const raw = store.getItem(PREFIX + key);
+    if (raw == null) return fallback;
+    try {
+      return JSON.parse(raw);
+    } catch (err) {
+      return fallback;
+    }
+  }
+
+  // false when the value could not be stored (no storage, quota full)
+  function set(key, value) {
+    const store = storage();
+    if (!store) return false;
+    try {
+      store.setItem(PREFIX + key, JSON.stringify(value));
+      return true;
+    } catch (err) {
+      console.warn(`Could not save setting ${key}:`, err);
+      return false;
+    }
+  }
+
+  function remove(key) {
+    const store = storage();
+    if (store) store.removeItem(PREFIX + key);
+  }
+
+  // Keys (without PREFIX) of everything this app has stored
+  function keys() {
+    const store = storage();
+    if (!store) return [];
+    const out = [];
+    for (let i = 0; i < store.length; i++) {
+      const key = store.key(i);
+      if (key && key.startsWith(PREFIX)) out.push(key.slice(PREFIX.length));
+    }
+    return out.sort();
+  }
+
+  window.Settings = { PREFIX, get, set, remove, keys };
+})();
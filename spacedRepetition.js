@@ -0,0 +1,129 @@
+// spacedRepetition.js
+// Leitner-style scheduler for single-note targets. Every string/fret cell
+// is a card in one of five boxes: a miss sends it back to box 1, a quick
+// correct answer moves it up one box, and higher boxes come back less
+// often. Cards (with accuracy and response-time stats) are kept per
+// instrument + tuning in Settings, so the review queue survives reloads.
+(function () {
+  const SETTINGS_KEY = "srs";
+
+  // Box → how long until the card is due again
+  const MINUTE = 60 * 1000;
+  const BOX_INTERVALS_MS = Object.freeze({
+    1: 30 * 1000,
+    2: 10 * MINUTE,
+    3: 60 * MINUTE,
+    4: 24 * 60 * MINUTE,
+    5: 4 * 24 * 60 * MINUTE
+  });
+  const MAX_BOX = 5;
+
+  // A correct answer slower than this doesn't count as "known" yet
+  const SLOW_RESPONSE_MS = 6000;
+
+  function cardKey(string, fret) {
+    return `${string}:${fret}`;
+  }
+
+  function newCard() {
+    return { box: 1, due: 0, attempts: 0, correct: 0, totalMs: 0, lastSeen: 0 };
+  }
+
+  class LeitnerScheduler {
+    // deckId separates instruments/tunings (the same cell is a different
+    // note in Drop D than in standard)
+    constructor(deckId) {
+      this.deckId = deckId;
+      const all = window.Settings.get(SETTINGS_KEY, {});
+      this.cards = all[deckId] || {};
+      this.lastKey = null;
+    }
+
+    save() {
+      const all = window.Settings.get(SETTINGS_KEY, {});
+      all[this.deckId] = this.cards;
+      window.Settings.set(SETTINGS_KEY, all);
+    }
+
+    card(string, fret) {
+      return this.cards[cardKey(string, fret)] || null;
+    }
+
+    // candidates: [{ string, fret }] currently playable (capo/fret range)
+    // Due cards first (lowest box, then longest overdue), then unseen
+    // cells, then whatever comes due soonest. Never the same cell twice
+    // in a row when there is a choice.
+    next(candidates, now = Date.now()) {
+      const pool = candidates.length > 1
+        ? candidates.filter((c) => cardKey(c.string, c.fret) !== this.lastKey)
+        : candidates;
+      if (!pool.length) return null;
+
+      const due = [];
+      const unseen = [];
+      for (const c of pool) {
+        const card = this.card(c.string, c.fret);
+        if (!card) unseen.push(c);
+        else if (card.due <= now) due.push({ c, card });
+      }
+
+      let pick;
+      if (due.length) {
+        due.sort((a, b) => a.card.box - b.card.box || a.card.due - b.card.due);
+        // A little randomness among the equally-urgent lowest box
+        const lowest = due.filter((d) => d.card.box === due[0].card.box);
+        pick = lowest[Math.floor(Math.random() * Math.min(lowest.length, 3))].c;
+      } else if (unseen.length) {
+        pick = unseen[Math.floor(Math.random() * unseen.length)];
+      } else {
+        pick = pool.slice().sort((a, b) =>
+          this.card(a.string, a.fret).due - this.card(b.string, b.fret).due)[0];
+      }
+
+      this.lastKey = cardKey(pick.string, pick.fret);
+      return pick;
+    }
+
+    // Call once per target, with the first answer given for it
+    record(string, fret, { correct, responseMs = 0 }, now = Date.now()) {
+      const key = cardKey(string, fret);
+      const card = this.cards[key] || newCard();
+
+      card.attempts += 1;
+      card.lastSeen = now;
+      if (correct) {
+        card.correct += 1;
+        card.totalMs += responseMs;
+        if (responseMs <= SLOW_RESPONSE_MS) card.box = Math.min(MAX_BOX, card.box + 1);
+      } else {
+        card.box = 1;
+      }
+      card.due = now + BOX_INTERVALS_MS[card.box];
+
+      this.cards[key] = card;
+      this.save();
+      return { ...card };
+    }
+
+    summary(candidates, now = Date.now()) {
+      let due = 0;
+      let unseen = 0;
+      let learned = 0;
+      for (const c of candidates) {
+        const card = this.card(c.string, c.fret);
+        if (!card) unseen += 1;
+        else {
+          if (card.due <= now) due += 1;
+          if (card.box >= 4) learned += 1;
+        }
+      }
+      return { due, unseen, learned, total: candidates.length };
+    }
+  }
+
+  window.SpacedRepetition = {
+    BOX_INTERVALS_MS,
+    SLOW_RESPONSE_MS,
+    LeitnerScheduler
+  };
+})();
@@ -0,0 +1,104 @@
+// statsView.js
+// Renders the practice history from PracticeStore: a string×fret
+// accuracy heatmap for the active instrument/tuning, a triad breakdown by
+// root/quality/inversion and a per-day trend.
+(function () {
+  const TREND_DAYS = 14;
+  const INVERSION_NAMES = ["Root", "1st inv", "2nd inv", "3rd inv"];
+
+  function pct(row) {
+    return row.attempts ? Math.round((row.correct / row.attempts) * 100) : null;
+  }
+
+  // Red (0%) → yellow → green (100%)
+  function heatColor(accuracy) {
+    return `hsl(${Math.round(accuracy * 1.2)}, 70%, 45%)`;
+  }
+
+  function renderSummary(list, sessions) {
+    const correct = list.filter((a) => a.correct).length;
+    const accuracy = list.length ? Math.round((correct / list.length) * 100) : 0;
+    return `<p class="stats">All time: ${list.length} attempts • ${accuracy}% correct • ${sessions.length} sessions</p>`;
+  }
+
+  function renderHeatmap(cells) {
+    const strings = window.Fretboard.strings().slice().sort((a, b) => a - b);
+    const frets = Array.from(new Set(window.Fretboard.positions().map((p) => p.fret))).sort((a, b) => a - b);
+
+    const head = `<tr><th></th>${frets.map((f) => `<th>${f}</th>`).join("")}</tr>`;
+    const rows = strings.map((s) => {
+      const tds = frets.map((f) => {
+        const cell = cells[`${s}:${f}`];
+        if (!cell) return `<td class="heat-empty"></td>`;
+        const accuracy = pct(cell);
+        const ms = cell.avgLatencyMs != null ? ` • ${(cell.avgLatencyMs / 1000).toFixed(1)} s` : "";
+        const title = `String ${s} fret ${f}: ${cell.correct}/${cell.attempts}${ms}`;
+        return `<td style="background:${heatColor(accuracy)}" title="${title}">${accuracy}</td>`;
+      });
+      return `<tr><th>${s}</th>${tds.join("")}</tr>`;
+    });
+
+    return `<table class="heatmap">${head}${rows.join("")}</table>`;
+  }
+
+  function renderBreakdownTable(title, rows, nameFor) {
+    const keys = Object.keys(rows);
+    if (!keys.length) return "";
+    const body = keys
+      .map((k) => `<tr><td>${nameFor(k)}</td><td>${rows[k].correct}/${rows[k].attempts}</td><td>${pct(rows[k])}%</td></tr>`)
+      .join("");
+    return `<table class="breakdown"><tr><th colspan="3">${title}</th></tr>${body}</table>`;
+  }
+
+  function renderTriads(breakdown) {
+    const tables = [
+      renderBreakdownTable("Root", breakdown.byRoot, (k) => k),
+      renderBreakdownTable("Quality", breakdown.byQuality, (k) => k.toLowerCase()),
+      renderBreakdownTable("Inversion", breakdown.byInversion, (k) => INVERSION_NAMES[k] || k)
+    ].join("");
+    return tables ? `<div class="breakdowns">${tables}</div>` : `<p class="stats">No triad attempts yet.</p>`;
+  }
+
+  function renderTrend(days) {
+    const max = Math.max(1, ...days.map((d) => d.attempts));
+    const bars = days.map((d) => {
+      const height = Math.round((d.attempts / max) * 100);
+      const accuracy = pct(d);
+      const color = accuracy == null ? "" : `background:${heatColor(accuracy)};`;
+      const title = `${d.date}: ${d.attempts} attempts` + (accuracy == null ? "" : `, ${accuracy}% correct`);
+      return `<div class="trend-day" title="${title}"><div class="trend-bar" style="${color}height:${height}%"></div>` +
+        `<span>${d.date.slice(8)}</span></div>`;
+    });
+    return `<div class="trend">${bars.join("")}</div>`;
+  }
+
+  class StatsView {
+    constructor(container) {
+      this.container = container;
+    }
+
+    // deck: the instrument/tuning id note attempts were recorded under
+    render(deck) {
+      if (!this.container) return;
+      const store = window.PracticeStore;
+      const all = store.getAttempts();
+      const notes = store.getAttempts({ mode: store.AttemptMode.NOTE, deck });
+      const triads = store.getAttempts({ mode: store.AttemptMode.TRIAD });
+
+      this.container.innerHTML =
+        renderSummary(all, store.getSessions()) +
+        `<h3>Single notes (this instrument &amp; tuning)</h3>` +
+        (notes.length ? renderHeatmap(store.noteHeatmap(notes)) : `<p class="stats">No single-note attempts yet.</p>`) +
+        `<h3>Triads</h3>` +
+        renderTriads(store.triadBreakdown(triads)) +
+        `<h3>Last ${TREND_DAYS} days</h3>` +
+        renderTrend(store.dailyTrend(all, TREND_DAYS));
+    }
+  }
+
+  function create(container) {
+    return new StatsView(container);
+  }
+
+  window.StatsView = { create, StatsView, heatColor };
+})();
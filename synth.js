@@ -0,0 +1,154 @@
+// synth.js
+// Reference tones: a Karplus-Strong plucked string rendered into an
+// AudioBuffer (cached per note) and played on the AudioEngine's context.
+// Plays single MIDI notes, note sequences, or a Triad as an arpeggio or
+// block chord. Every play call returns the context time the sound ends,
+// so callers can keep the mic from hearing it.
+(function () {
+  const NOTE_SECONDS = 1.6;
+  const ARPEGGIO_GAP_S = 0.4;
+  const START_DELAY_S = 0.03;
+  const MASTER_GAIN = 0.5;
+
+  // Per-sample energy kept by the feedback loop (lower = shorter ring)
+  const DECAY = 0.996;
+  const FADE_OUT_S = 0.15;
+
+  const PlayMode = Object.freeze({
+    ARPEGGIO: "arpeggio",
+    BLOCK: "block"
+  });
+
+  function midiToFreq(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+  }
+
+  // Noise burst circulating in a delay line one period long; the two-point
+  // average damps the highs every round trip, and a first-order allpass
+  // supplies the fractional part of the period so the note is in tune.
+  function renderPluck(sampleRate, midi) {
+    const length = Math.floor(sampleRate * NOTE_SECONDS);
+    const out = new Float32Array(length);
+    const period = sampleRate / midiToFreq(midi);
+
+    // Loop delay = N samples + 0.5 (average) + d (allpass)
+    let n = Math.floor(period - 0.5);
+    let d = period - 0.5 - n;
+    if (d < 0.1) {
+      n -= 1;
+      d += 1;
+    }
+    const c = (1 - d) / (1 + d);
+
+    // Slightly low-passed noise sounds like a pick rather than a hiss
+    let prev = 0;
+    for (let i = 0; i < n && i < length; i++) {
+      const noise = Math.random() * 2 - 1;
+      prev = 0.5 * (noise + prev);
+      out[i] = prev;
+    }
+
+    let apIn = 0;
+    let apOut = 0;
+    for (let i = n; i < length; i++) {
+      const avg = DECAY * 0.5 * (out[i - n] + (i - n - 1 >= 0 ? out[i - n - 1] : 0));
+      const y = c * avg + apIn - c * apOut;
+      apIn = avg;
+      apOut = y;
+      out[i] = y;
+    }
+
+    // Fade the tail so the buffer never ends with a click
+    const fade = Math.floor(sampleRate * FADE_OUT_S);
+    for (let i = 0; i < fade; i++) out[length - 1 - i] *= i / fade;
+
+    // Same peak for every note
+    let peak = 0;
+    for (let i = 0; i < length; i++) peak = Math.max(peak, Math.abs(out[i]));
+    if (peak > 0) for (let i = 0; i < length; i++) out[i] /= peak;
+    return out;
+  }
+
+  class PluckSynth {
+    // getContext: () => AudioContext (shared with the AudioEngine)
+    constructor(getContext) {
+      this.getContext = getContext;
+      this.cache = new Map();
+      this.voices = [];
+      this.endsAt = 0;
+    }
+
+    buffer(ctx, midi) {
+      const key = `${ctx.sampleRate}:${midi}`;
+      if (!this.cache.has(key)) {
+        const buffer = ctx.createBuffer(1, Math.floor(ctx.sampleRate * NOTE_SECONDS), ctx.sampleRate);
+        buffer.getChannelData(0).set(renderPluck(ctx.sampleRate, midi));
+        this.cache.set(key, buffer);
+      }
+      return this.cache.get(key);
+    }
+
+    voice(ctx, midi, when, gain) {
+      const source = ctx.createBufferSource();
+      const amp = ctx.createGain();
+      source.buffer = this.buffer(ctx, midi);
+      amp.gain.value = MASTER_GAIN * gain;
+      source.connect(amp);
+      amp.connect(ctx.destination);
+      source.start(when);
+      source.onended = () => {
+        amp.disconnect();
+        this.voices = this.voices.filter((v) => v !== source);
+      };
+      this.voices.push(source);
+    }
+
+    // midis: one note, or several played together (BLOCK) or one after
+    // another (ARPEGGIO). Returns the context time the last note ends.
+    play(midis, { mode = PlayMode.ARPEGGIO, gap = ARPEGGIO_GAP_S } = {}) {
+      const notes = [].concat(midis);
+      const ctx = this.getContext();
+      const start = ctx.currentTime + START_DELAY_S;
+      // Chords are louder in sum; keep them at about one note's level
+      const gain = mode === PlayMode.BLOCK ? 1 / Math.sqrt(notes.length) : 1;
+
+      notes.forEach((midi, i) => {
+        const when = mode === PlayMode.BLOCK ? start : start + i * gap;
+        this.voice(ctx, midi, when, gain);
+      });
+
+      const last = mode === PlayMode.BLOCK ? start : start + (notes.length - 1) * gap;
+      this.endsAt = Math.max(this.endsAt, last + NOTE_SECONDS);
+      return this.endsAt;
+    }
+
+    // Triad in its inversion, from the first pitch at or above bassMidi
+    playTriad(triad, { bassMidi, mode = PlayMode.ARPEGGIO } = {}) {
+      return this.play(triad.midiNotes(bassMidi), { mode });
+    }
+
+    stop() {
+      this.voices.forEach((v) => {
+        try {
+          v.stop();
+        } catch (err) {
+          // already ended
+        }
+      });
+      this.voices = [];
+      this.endsAt = 0;
+    }
+
+    isSounding() {
+      const ctx = this.getContext();
+      return ctx.currentTime < this.endsAt;
+    }
+  }
+
+  window.Synth = {
+    NOTE_SECONDS,
+    PlayMode,
+    PluckSynth,
+    renderPluck
+  };
+})();
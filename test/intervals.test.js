@@ -0,0 +1,15 @@
+// Interval prompts. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+
+globalThis.window = globalThis;
+require("../triads.js");
+require("../intervals.js");
+
+const { IntervalQuestion, intervalBySemitones } = window.Intervals;
+
+test("prompts take 'an' before a vowel sound", () => {
+  assert.strictEqual(new IntervalQuestion("F", intervalBySemitones(12), "down").label(), "an octave below F");
+  assert.strictEqual(new IntervalQuestion("C", intervalBySemitones(18)).label(), "an augmented 11th above C");
+  assert.strictEqual(new IntervalQuestion("D", intervalBySemitones(9)).label(), "a major 6th above D");
+});
@@ -0,0 +1,80 @@
+// CSV export and import of the practice history. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+
+globalThis.window = globalThis;
+
+// In-memory localStorage and the page events practiceStore.js listens to
+const stored = new Map();
+globalThis.localStorage = {
+  get length() { return stored.size; },
+  key: (i) => [...stored.keys()][i] ?? null,
+  getItem: (k) => (stored.has(k) ? stored.get(k) : null),
+  setItem: (k, v) => { stored.set(k, String(v)); },
+  removeItem: (k) => { stored.delete(k); }
+};
+globalThis.addEventListener = () => {};
+globalThis.document = { visibilityState: "visible", addEventListener: () => {} };
+
+require("../settings.js");
+require("../practiceStore.js");
+require("../practiceExport.js");
+
+const { PracticeStore, PracticeExport } = window;
+const { AttemptMode } = PracticeStore;
+
+function recordSample() {
+  PracticeStore.clear();
+  const session = PracticeStore.startSession(AttemptMode.NOTE);
+  const note = PracticeStore.recordAttempt({
+    mode: AttemptMode.NOTE,
+    sessionId: session,
+    deck: "all",
+    strict: false,
+    target: { string: 5, fret: 3, midi: 48, name: "C3" },
+    heard: { midi: 48, name: "C3" },
+    hz: 130.8,
+    correct: true,
+    latencyMs: 812,
+    timingMs: -14
+  });
+  const triad = PracticeStore.recordAttempt({
+    mode: AttemptMode.TRIAD,
+    sessionId: session,
+    answer: "strum",
+    target: { root: "A", quality: "MINOR", inversion: 1, string: 4, label: "A minor, 1st inversion" },
+    heard: { pitchClasses: ["A", "C", "E"] },
+    hz: null,
+    correct: false,
+    latencyMs: 2045,
+    timingsMs: [12, -30, 8]
+  });
+  PracticeStore.flush();
+  return [note, triad];
+}
+
+test("note and triad attempts survive a CSV round trip", () => {
+  const recorded = recordSample();
+  const csv = PracticeExport.toCsv();
+
+  PracticeStore.clear();
+  const added = PracticeExport.importText(csv);
+  assert.strictEqual(added.attempts, 2);
+  assert.deepStrictEqual(PracticeStore.getAttempts(), recorded);
+});
+
+test("importing the same file twice adds nothing the second time", () => {
+  recordSample();
+  const csv = PracticeExport.toCsv();
+  const json = PracticeExport.toJson();
+
+  PracticeStore.clear();
+  assert.strictEqual(PracticeExport.importText(csv).attempts, 2);
+  assert.strictEqual(PracticeExport.importText(csv).attempts, 0);
+  assert.strictEqual(PracticeStore.getAttempts().length, 2);
+
+  PracticeStore.clear();
+  assert.deepStrictEqual(PracticeExport.importText(json), { attempts: 2, sessions: 1, settings: 0, total: 2 });
+  assert.deepStrictEqual(PracticeExport.importText(json), { attempts: 0, sessions: 0, settings: 0, total: 2 });
+  assert.strictEqual(PracticeStore.getAttempts().length, 2);
+});
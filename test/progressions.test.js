@@ -0,0 +1,34 @@
+// Roman-numeral parsing for the progression trainer.
+// Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+
+globalThis.window = globalThis;
+require("../triads.js");
+require("../progressions.js");
+
+const { parseRomanNumeral, parseProgression } = window.Progressions;
+
+function labels(text, key) {
+  return parseProgression(text, key).map((step) => step.chord.label());
+}
+
+test("case, symbols and inversion figures set the chord", () => {
+  assert.deepStrictEqual(labels("ii V64 I6", "C"), ["D minor", "G major (2nd inv)", "C major (1st inv)"]);
+  assert.deepStrictEqual(labels("vii°6 III+", "Am"), ["G# dim (1st inv)", "C aug"]);
+});
+
+test("b and # in front move the root from the tonic's major scale", () => {
+  assert.strictEqual(parseRomanNumeral("bVII", "C").chord.label(), "Bb major");
+  assert.strictEqual(parseRomanNumeral("bVII", "Am").chord.label(), "G major");
+});
+
+test("an uppercase B is no flat sign", () => {
+  assert.throws(() => parseRomanNumeral("BVII", "C"), /Unrecognized Roman numeral/);
+});
+
+test("mixed case and unknown numerals are rejected", () => {
+  for (const bad of ["Ii", "VIII", "IIII", "V7"]) {
+    assert.throws(() => parseRomanNumeral(bad, "C"), /Unrecognized Roman numeral/, bad);
+  }
+});
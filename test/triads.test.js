@@ -0,0 +1,38 @@
+// Chord spelling and enharmonic checking. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+
+globalThis.window = globalThis;
+require("../triads.js");
+
+const { Triad, ChordQuality, Spelling, normalizePitchClass, checkTriadAnswerOrdered, TriadSequenceSession } = window.Triads;
+
+test("chord tones are spelled from the root's letter", () => {
+  assert.deepStrictEqual(new Triad("F", ChordQuality.MINOR).spelledPitches(), ["F", "Ab", "C"]);
+  assert.deepStrictEqual(new Triad("Bb", ChordQuality.MAJOR).spelledPitches(), ["Bb", "D", "F"]);
+  assert.strictEqual(new Triad("Bb", ChordQuality.MAJOR).label(), "Bb major");
+});
+
+test("key and sharps/flats preference pick the root's name", () => {
+  assert.deepStrictEqual(new Triad("A#", ChordQuality.MAJOR, 0, { prefer: Spelling.FLATS }).spelledPitches(), ["Bb", "D", "F"]);
+  assert.strictEqual(new Triad("Ab", ChordQuality.MINOR, 0, { key: "E" }).label(), "G# minor");
+});
+
+test("double accidentals parse and spell without throwing", () => {
+  assert.strictEqual(normalizePitchClass("Bbb"), "A");
+  assert.strictEqual(normalizePitchClass("F##"), "G");
+  assert.strictEqual(normalizePitchClass("Cx"), "D");
+  assert.deepStrictEqual(new Triad("G#", ChordQuality.AUGMENTED).spelledPitches(), ["G#", "B#", "D##"]);
+  assert.doesNotThrow(() => new Triad("Ebb", ChordQuality.MAJOR).label());
+});
+
+test("detected pitches are still compared by pitch class", () => {
+  const fMinor = new Triad("F", ChordQuality.MINOR);
+  assert.ok(checkTriadAnswerOrdered(fMinor, ["F", "G#", "C"]).success);
+  assert.ok(checkTriadAnswerOrdered(fMinor, ["E#", "Ab", "B#"]).success);
+
+  const session = new TriadSequenceSession(new Triad("Bb", ChordQuality.MAJOR));
+  assert.strictEqual(session.acceptNote("A#3").correct, true);
+  assert.strictEqual(session.acceptNote("D4").correct, true);
+  assert.strictEqual(session.acceptNote(349.23).status, "success"); // F4
+});
@@ -0,0 +1,61 @@
+// Closed triad voicings on string sets: the exact notes the string-set
+// drill expects. Run with: node --test test/
+const test = require("node:test");
+const assert = require("node:assert");
+
+globalThis.window = globalThis;
+require("../fretboard.js");
+require("../triads.js");
+require("../voicings.js");
+
+const { Fretboard, Voicings } = window;
+const { Triad, ChordQuality } = window.Triads;
+
+// C major root position, 1st and 2nd inversion on the set starting at
+// lowString → [{ midis, frets }] per inversion
+function cMajorShapes(lowString) {
+  const set = Voicings.stringSetFrom(lowString);
+  return [0, 1, 2].map((inversion) => {
+    const chord = new Triad("C", ChordQuality.MAJOR, inversion);
+    return Voicings.voicingsFor(chord, set).map((v) => ({ midis: v.midis, frets: v.notes.map((n) => n.fret) }));
+  });
+}
+
+test("C major inversions on 5-4-3 in standard tuning", () => {
+  Fretboard.setCapo(0);
+  assert.deepStrictEqual(cMajorShapes(5), [
+    [{ midis: [48, 52, 55], frets: [3, 2, 0] }],    // C E G
+    [{ midis: [52, 55, 60], frets: [7, 5, 5] }],    // E G C
+    [{ midis: [55, 60, 64], frets: [10, 10, 9] }]   // G C E
+  ]);
+});
+
+test("C major inversions on 4-3-2 in standard tuning", () => {
+  Fretboard.setCapo(0);
+  assert.deepStrictEqual(cMajorShapes(4), [
+    [{ midis: [60, 64, 67], frets: [10, 9, 8] }],
+    [{ midis: [52, 55, 60], frets: [2, 0, 1] }],
+    [{ midis: [55, 60, 64], frets: [5, 5, 5] }]
+  ]);
+});
+
+test("a capo drops shapes behind it and reaches further up the neck", () => {
+  Fretboard.setCapo(3);
+  try {
+    // Root position needs E on the D string at fret 2, behind the capo
+    assert.deepStrictEqual(cMajorShapes(5), [
+      [],
+      [{ midis: [52, 55, 60], frets: [7, 5, 5] }],
+      [{ midis: [55, 60, 64], frets: [10, 10, 9] }]
+    ]);
+    // 1st inversion: E on the D string moves from fret 2 up to fret 14
+    assert.deepStrictEqual(cMajorShapes(4), [
+      [{ midis: [60, 64, 67], frets: [10, 9, 8] }],
+      [{ midis: [64, 67, 72], frets: [14, 12, 13] }],
+      [{ midis: [55, 60, 64], frets: [5, 5, 5] }]
+    ]);
+    assert.strictEqual(Voicings.voicingNear(new Triad("C", ChordQuality.MAJOR), Voicings.stringSetFrom(5)), null);
+  } finally {
+    Fretboard.setCapo(0);
+  }
+});
@@ -6,19 +6,17 @@
     "F#", "G", "G#", "A", "A#", "B"
   ]);
 
-  const FLAT_TO_SHARP = Object.freeze({
-    "Db": "C#",
-    "Eb": "D#",
-    "Gb": "F#",
-    "Ab": "G#",
-    "Bb": "A#"
-  });
+  const NOTE_ORDER_FLAT = Object.freeze([
+    "C", "Db", "D", "Eb", "E", "F",
+    "Gb", "G", "Ab", "A", "Bb", "B"
+  ]);
+
+  // Letter names and their natural semitones, for spelling
+  const LETTERS = Object.freeze(["C", "D", "E", "F", "G", "A", "B"]);
+  const LETTER_SEMITONES = Object.freeze([0, 2, 4, 5, 7, 9, 11]);
 
-  const ENHARMONIC_TO_SHARP = Object.freeze({
-    "Cb": "B",
-    "B#": "C",
-    "E#": "F",
-    "Fb": "E"
+  const ACCIDENTAL_OFFSET = Object.freeze({
+    "": 0, "#": 1, "##": 2, "x": 2, "b": -1, "bb": -2
   });
 
   // ---------- Progress lights helpers ----------
@@ -39,24 +37,24 @@
     }
   };
 
-  function normalizePitchClass(note) {
-    if (note == null) throw new Error("normalizePitchClass: empty note");
+  // "Bbb4" → { letter: 6, offset: -2, semitone: 9 } (letter indexes LETTERS)
+  function parseNote(note) {
+    if (note == null) throw new Error("parseNote: empty note");
 
-    const trimmed = String(note).trim();
-    const m = trimmed.match(/^([A-Ga-g])([b#]?)(-?\d+)?$/);
+    const trimmed = String(note).trim().replace(/♯/g, "#").replace(/♭/g, "b");
+    const m = trimmed.match(/^([A-Ga-g])(##|#|x|bb|b)?(-?\d+)?$/);
     if (!m) throw new Error(`Unrecognized note format: ${note}`);
 
-    const letter = m[1].toUpperCase();
-    const accidental = m[2] || "";
-    let pc = letter + accidental;
-
-    if (FLAT_TO_SHARP[pc]) pc = FLAT_TO_SHARP[pc];
-    if (ENHARMONIC_TO_SHARP[pc]) pc = ENHARMONIC_TO_SHARP[pc];
+    const letter = LETTERS.indexOf(m[1].toUpperCase());
+    const offset = ACCIDENTAL_OFFSET[m[2] || ""];
+    const semitone = (((LETTER_SEMITONES[letter] + offset) % 12) + 12) % 12;
+    return { letter, offset, semitone };
+  }
 
-    if (!NOTE_ORDER_SHARP.includes(pc)) {
-      throw new Error(`Unsupported note after normalization: ${note} -> ${pc}`);
-    }
-    return pc;
+  // Any spelling (double accidentals too) → its sharp-based pitch class,
+  // the form every comparison uses
+  function normalizePitchClass(note) {
+    return NOTE_ORDER_SHARP[parseNote(note).semitone];
   }
 
   function semitoneIndex(pc) {
@@ -69,6 +67,64 @@
     return NOTE_ORDER_SHARP[(newIdx + 12) % 12];
   }
 
+  // ---------- Spelling ----------
+  // Comparisons use sharp pitch classes; display names are spelled from
+  // letters, so a minor third above F is Ab (not G#).
+  const Spelling = Object.freeze({
+    AUTO: "auto",     // keep the given name unless another needs fewer accidentals
+    SHARPS: "sharps",
+    FLATS: "flats"
+  });
+
+  const MAJOR_SCALE = Object.freeze([0, 2, 4, 5, 7, 9, 11]);
+  const NATURAL_MINOR_SCALE = Object.freeze([0, 2, 3, 5, 7, 8, 10]);
+
+  function accidentalText(offset) {
+    return offset >= 0 ? "#".repeat(offset) : "b".repeat(-offset);
+  }
+
+  // The note `steps` letters and `semitones` above fromName:
+  // spellInterval("F", 3, 2) → "Ab", spellInterval("G#", 8, 4) → "D##"
+  function spellInterval(fromName, semitones, steps) {
+    const from = parseNote(fromName);
+    const letter = (((from.letter + steps) % 7) + 7) % 7;
+    const target = (((from.semitone + semitones) % 12) + 12) % 12;
+    let offset = (((target - LETTER_SEMITONES[letter]) % 12) + 12) % 12;
+    if (offset > 6) offset -= 12;
+    // Past double accidentals the letter is hopeless; fall back to sharps
+    if (Math.abs(offset) > 2) return NOTE_ORDER_SHARP[target];
+    return LETTERS[letter] + accidentalText(offset);
+  }
+
+  function accidentalCount(names) {
+    return names.reduce((n, name) => n + Math.abs(parseNote(name).offset), 0);
+  }
+
+  // "Bb" (major) or "Gm" (natural minor) → its seven spelled notes
+  function keyScale(key) {
+    const m = String(key).trim().match(/^([A-Ga-g](?:##|#|bb|b)?)\s*(m|min|minor|maj|major)?$/);
+    if (!m) throw new Error(`Unrecognized key: ${key}`);
+    const minor = m[2] === "m" || m[2] === "min" || m[2] === "minor";
+    const steps = minor ? NATURAL_MINOR_SCALE : MAJOR_SCALE;
+    return steps.map((semi, i) => spellInterval(m[1], semi, i));
+  }
+
+  // A pitch class named for a context: { key } spells it as in that key
+  // (notes outside it follow the key's flats or sharps); otherwise
+  // prefer SHARPS or FLATS; AUTO keeps the given name.
+  function spellPitchClass(note, { key = null, prefer = Spelling.AUTO } = {}) {
+    const semitone = parseNote(note).semitone;
+    if (key) {
+      const scale = keyScale(key);
+      const inKey = scale.find((name) => parseNote(name).semitone === semitone);
+      if (inKey) return inKey;
+      prefer = scale.some((name) => parseNote(name).offset < 0) ? Spelling.FLATS : Spelling.SHARPS;
+    }
+    if (prefer === Spelling.SHARPS) return NOTE_ORDER_SHARP[semitone];
+    if (prefer === Spelling.FLATS) return NOTE_ORDER_FLAT[semitone];
+    return String(note).trim().replace(/-?\d+$/, "");
+  }
+
   // ---------- Frequency → pitch class ----------
   function freqToMidi(freq) {
     return Math.round(69 + 12 * Math.log2(freq / 440));
@@ -79,6 +135,18 @@
     return NOTE_ORDER_SHARP[pc];
   }
 
+  // Frequency or note name with octave ("C#4") → MIDI; null without octave
+  function toMidi(noteOrFreq) {
+    if (typeof noteOrFreq === "number") {
+      if (!isFinite(noteOrFreq) || noteOrFreq <= 0) return null;
+      return freqToMidi(noteOrFreq);
+    }
+    const m = String(noteOrFreq).trim().match(/(-?\d+)$/);
+    if (!m) return null;
+    const { letter, offset } = parseNote(noteOrFreq);
+    return (parseInt(m[1], 10) + 1) * 12 + LETTER_SEMITONES[letter] + offset;
+  }
+
   function toPitchClass(noteOrFreq) {
     if (typeof noteOrFreq === "number") {
       if (!isFinite(noteOrFreq) || noteOrFreq <= 0) return null;
@@ -87,19 +155,45 @@
     return normalizePitchClass(noteOrFreq);
   }
 
-  // ---------- Triad model ----------
-  const TriadQuality = Object.freeze({
+  // ---------- Chord model ----------
+  // Triads plus suspended, add9 and seventh chords. Every chord has as
+  // many inversions as notes; pitches() puts the inversion's bass first.
+  const ChordQuality = Object.freeze({
     MAJOR: "MAJOR",
     MINOR: "MINOR",
     DIMINISHED: "DIMINISHED",
-    AUGMENTED: "AUGMENTED"
+    AUGMENTED: "AUGMENTED",
+    SUS2: "SUS2",
+    SUS4: "SUS4",
+    ADD9: "ADD9",
+    MAJOR7: "MAJOR7",
+    DOMINANT7: "DOMINANT7",
+    MINOR7: "MINOR7",
+    HALF_DIMINISHED7: "HALF_DIMINISHED7",
+    DIMINISHED7: "DIMINISHED7"
+  });
+
+  // The four three-note qualities built from stacked thirds
+  const TriadQuality = Object.freeze({
+    MAJOR: ChordQuality.MAJOR,
+    MINOR: ChordQuality.MINOR,
+    DIMINISHED: ChordQuality.DIMINISHED,
+    AUGMENTED: ChordQuality.AUGMENTED
   });
 
   const INTERVAL_PATTERNS = Object.freeze({
-    [TriadQuality.MAJOR]: [0, 4, 7],
-    [TriadQuality.MINOR]: [0, 3, 7],
-    [TriadQuality.DIMINISHED]: [0, 3, 6],
-    [TriadQuality.AUGMENTED]: [0, 4, 8],
+    [ChordQuality.MAJOR]: [0, 4, 7],
+    [ChordQuality.MINOR]: [0, 3, 7],
+    [ChordQuality.DIMINISHED]: [0, 3, 6],
+    [ChordQuality.AUGMENTED]: [0, 4, 8],
+    [ChordQuality.SUS2]: [0, 2, 7],
+    [ChordQuality.SUS4]: [0, 5, 7],
+    [ChordQuality.ADD9]: [0, 4, 7, 14],
+    [ChordQuality.MAJOR7]: [0, 4, 7, 11],
+    [ChordQuality.DOMINANT7]: [0, 4, 7, 10],
+    [ChordQuality.MINOR7]: [0, 3, 7, 10],
+    [ChordQuality.HALF_DIMINISHED7]: [0, 3, 6, 10],
+    [ChordQuality.DIMINISHED7]: [0, 3, 6, 9]
   });
 
   const TriadInversion = Object.freeze({
@@ -108,28 +202,98 @@
     SECOND_INVERSION: 2
   });
 
+  // Four-note chords also have the seventh (or ninth) in the bass
+  const ChordInversion = Object.freeze({
+    ...TriadInversion,
+    THIRD_INVERSION: 3
+  });
+
+  // Scale degree of each interval above: which letter a chord tone gets
+  const CHORD_DEGREES = Object.freeze({
+    [ChordQuality.MAJOR]: [1, 3, 5],
+    [ChordQuality.MINOR]: [1, 3, 5],
+    [ChordQuality.DIMINISHED]: [1, 3, 5],
+    [ChordQuality.AUGMENTED]: [1, 3, 5],
+    [ChordQuality.SUS2]: [1, 2, 5],
+    [ChordQuality.SUS4]: [1, 4, 5],
+    [ChordQuality.ADD9]: [1, 3, 5, 9],
+    [ChordQuality.MAJOR7]: [1, 3, 5, 7],
+    [ChordQuality.DOMINANT7]: [1, 3, 5, 7],
+    [ChordQuality.MINOR7]: [1, 3, 5, 7],
+    [ChordQuality.HALF_DIMINISHED7]: [1, 3, 5, 7],
+    [ChordQuality.DIMINISHED7]: [1, 3, 5, 7]
+  });
+
   const QUALITY_LABEL = Object.freeze({
-    [TriadQuality.MAJOR]: "major",
-    [TriadQuality.MINOR]: "minor",
-    [TriadQuality.DIMINISHED]: "dim",
-    [TriadQuality.AUGMENTED]: "aug",
+    [ChordQuality.MAJOR]: "major",
+    [ChordQuality.MINOR]: "minor",
+    [ChordQuality.DIMINISHED]: "dim",
+    [ChordQuality.AUGMENTED]: "aug",
+    [ChordQuality.SUS2]: "sus2",
+    [ChordQuality.SUS4]: "sus4",
+    [ChordQuality.ADD9]: "add9",
+    [ChordQuality.MAJOR7]: "maj7",
+    [ChordQuality.DOMINANT7]: "7",
+    [ChordQuality.MINOR7]: "m7",
+    [ChordQuality.HALF_DIMINISHED7]: "m7b5",
+    [ChordQuality.DIMINISHED7]: "dim7"
   });
 
+  // Written as chord symbols, right after the root ("C7", "Dm7b5")
+  const SYMBOL_QUALITIES = new Set([
+    ChordQuality.SUS2, ChordQuality.SUS4, ChordQuality.ADD9,
+    ChordQuality.MAJOR7, ChordQuality.DOMINANT7, ChordQuality.MINOR7,
+    ChordQuality.HALF_DIMINISHED7, ChordQuality.DIMINISHED7
+  ]);
+
   const INVERSION_LABEL = Object.freeze({
-    [TriadInversion.ROOT_POSITION]: "",
-    [TriadInversion.FIRST_INVERSION]: "1st inv",
-    [TriadInversion.SECOND_INVERSION]: "2nd inv"
+    [ChordInversion.ROOT_POSITION]: "",
+    [ChordInversion.FIRST_INVERSION]: "1st inv",
+    [ChordInversion.SECOND_INVERSION]: "2nd inv",
+    [ChordInversion.THIRD_INVERSION]: "3rd inv"
   });
 
-  class Triad {
-    constructor(root, quality, inversion = TriadInversion.ROOT_POSITION) {
+  function noteCount(quality) {
+    const pattern = INTERVAL_PATTERNS[quality];
+    return pattern ? pattern.length : 0;
+  }
+
+  // Chord tones spelled up from rootName, in root position
+  function spellChord(rootName, quality) {
+    return INTERVAL_PATTERNS[quality].map((semi, i) =>
+      spellInterval(rootName, semi, CHORD_DEGREES[quality][i] - 1));
+  }
+
+  // Sharp or flat name for a root, whichever spells the chord with fewer
+  // accidentals (A# major → Bb major, never A# C## E#); ties keep sharps
+  function simplestRootName(root, quality) {
+    const semitone = parseNote(root).semitone;
+    const sharp = NOTE_ORDER_SHARP[semitone];
+    const flat = NOTE_ORDER_FLAT[semitone];
+    const sharpCount = accidentalCount(spellChord(sharp, quality));
+    return accidentalCount(spellChord(flat, quality)) < sharpCount ? flat : sharp;
+  }
+
+  class Chord {
+    // spelling: { key, prefer } for how the chord is written (see
+    // spellPitchClass; AUTO keeps the root as given). It never changes
+    // what counts as correct.
+    constructor(root, quality, inversion = ChordInversion.ROOT_POSITION, spelling = {}) {
       this.root = normalizePitchClass(root);
       this.quality = quality;
       this.inversion = inversion;
 
       if (!INTERVAL_PATTERNS[this.quality]) {
-        throw new Error(`Unsupported triad quality: ${quality}`);
+        throw new Error(`Unsupported chord quality: ${quality}`);
+      }
+      if (!(inversion >= 0 && inversion < noteCount(quality))) {
+        throw new Error(`A ${QUALITY_LABEL[quality]} chord has no inversion ${inversion}`);
       }
+      this.rootName = spellPitchClass(root, spelling);
+    }
+
+    get size() {
+      return INTERVAL_PATTERNS[this.quality].length;
     }
 
     basicPitches() {
@@ -143,15 +307,73 @@
       return base.slice(shift).concat(base.slice(0, shift));
     }
 
+    // Same order as pitches(), theory-correct names for display
+    spelledPitches() {
+      const base = spellChord(this.rootName, this.quality);
+      const shift = this.inversion;
+      return base.slice(shift).concat(base.slice(0, shift));
+    }
+
+    // MIDI notes in play order, each stacked above the previous, starting
+    // from the first pitch at or above bassMidi (for playback)
+    midiNotes(bassMidi) {
+      const out = [];
+      let prev = bassMidi - 1;
+      for (const pc of this.pitches()) {
+        let midi = prev + 1;
+        while (((midi % 12) + 12) % 12 !== semitoneIndex(pc)) midi++;
+        out.push(midi);
+        prev = midi;
+      }
+      return out;
+    }
+
     label() {
       const qualityName = QUALITY_LABEL[this.quality] || String(this.quality).toLowerCase();
+      const root = this.rootName;
+      const name = SYMBOL_QUALITIES.has(this.quality) ? root + qualityName : `${root} ${qualityName}`;
       const inv = INVERSION_LABEL[this.inversion];
-      if (!inv) return `${this.root} ${qualityName}`;
-      return `${this.root} ${qualityName} (${inv})`;
+      if (!inv) return name;
+      return `${name} (${inv})`;
     }
   }
 
-  // ---------- Checking utilities (ORDER ONLY) ----------
+  // Most of the app still says "triad"; a Triad is any Chord
+  const Triad = Chord;
+
+  // ---------- Answer patterns ----------
+  // How the chord tones are to be played, as steps { tone, octave }: tone
+  // indexes chord.pitches() (inversion order), octave lifts a voicing note.
+  const AnswerPattern = Object.freeze({
+    ASCENDING: "ascending",
+    DESCENDING: "descending",
+    UP_AND_BACK: "upAndBack",          // C E G E C
+    ANY_ORDER: "anyOrder",
+    ALL_INVERSIONS: "allInversions"    // C E G, E G C, G C E — each a closed shape further up
+  });
+
+  function patternSteps(size, pattern = AnswerPattern.ASCENDING) {
+    const up = [];
+    for (let i = 0; i < size; i++) up.push({ tone: i, octave: 0 });
+
+    switch (pattern) {
+      case AnswerPattern.DESCENDING:
+        return up.slice().reverse();
+      case AnswerPattern.UP_AND_BACK:
+        return up.concat(up.slice(0, -1).reverse());
+      case AnswerPattern.ALL_INVERSIONS: {
+        const out = [];
+        for (let k = 0; k < size; k++) {
+          for (let j = 0; j < size; j++) out.push({ tone: (k + j) % size, octave: k + j >= size ? 1 : 0 });
+        }
+        return out;
+      }
+      default:
+        return up;
+    }
+  }
+
+  // ---------- Checking utilities ----------
   const DEFAULT_MAX_ERRORS = 0;
   const DEFAULT_STRICT_FAIL_FAST = true;
 
@@ -164,14 +386,20 @@
     return out;
   }
 
+  // failFast: the first wrong note ends the attempt; otherwise up to
+  // maxErrors wrong notes are let through
   function checkTriadAnswerOrdered(expectedTriad, playedNotesOrFreqs, options = {}) {
     const {
       maxErrors = DEFAULT_MAX_ERRORS,
       failFast = DEFAULT_STRICT_FAIL_FAST,
       dedupe = true,
+      pattern = AnswerPattern.ASCENDING
     } = options;
 
-    const expected = expectedTriad.pitches();
+    const pitches = expectedTriad.pitches();
+    const expected = patternSteps(pitches.length, pattern).map((st) => pitches[st.tone]);
+    const anyOrder = pattern === AnswerPattern.ANY_ORDER;
+    const remaining = expected.slice();
     const normPlayed = normalizeSequence(playedNotesOrFreqs);
 
     let idx = 0;
@@ -182,7 +410,9 @@
       if (dedupe && pc === prev) continue;
       prev = pc;
 
-      if (idx < expected.length && pc === expected[idx]) {
+      const hit = anyOrder ? remaining.indexOf(pc) : (pc === expected[idx] ? idx : -1);
+      if (idx < expected.length && hit >= 0) {
+        if (anyOrder) remaining.splice(hit, 1);
         idx += 1;
         if (idx === expected.length) break;
       } else {
@@ -201,13 +431,73 @@
     };
   }
 
+  // ---------- Strummed chords (chroma from AudioEngine onChord) ----------
+  const DEFAULT_CHROMA_THRESHOLD = 0.3;
+
+  // strum: { chroma: number[12] indexed from C, bassPc: index | name | null,
+  // bassFreq }. options.midis (a voicing) also checks the bass register.
+  function checkStrummedTriad(expectedTriad, strum, options = {}) {
+    const { threshold = DEFAULT_CHROMA_THRESHOLD, midis = null } = options;
+
+    const expected = expectedTriad.pitches();
+    const detected = [];
+    (strum.chroma || []).forEach((weight, i) => {
+      if (weight >= threshold) detected.push(NOTE_ORDER_SHARP[i]);
+    });
+
+    const missing = expected.filter((pc) => !detected.includes(pc));
+    const extra = detected.filter((pc) => !expected.includes(pc));
+
+    let bass = null;
+    if (typeof strum.bassPc === "number") bass = NOTE_ORDER_SHARP[strum.bassPc];
+    else if (strum.bassPc) bass = normalizePitchClass(strum.bassPc);
+
+    // Lowest sounding tone must be the inversion's first note
+    const expectedBass = expected[0];
+    let inversionOk = bass === expectedBass;
+    let registerOk = true;
+    if (midis && inversionOk) {
+      registerOk = strum.bassFreq != null && toMidi(strum.bassFreq) === midis[0];
+      inversionOk = registerOk;
+    }
+
+    return {
+      success: missing.length === 0 && extra.length === 0 && inversionOk,
+      detected,
+      missing,
+      extra,
+      bass,
+      expectedBass,
+      inversionOk,
+      registerOk,
+      expectedSequence: expected
+    };
+  }
+
   // ---------- Streaming session ----------
+  // Note-by-note check of any chord (3 or 4 notes) in the order an
+  // AnswerPattern asks for. With options.midis (a voicing's exact notes,
+  // in inversion order) the register counts too: the right pitch class in
+  // another octave is wrong. Tolerance works like checkTriadAnswerOrdered:
+  // failFast ends the attempt on the first wrong note, otherwise up to
+  // maxErrors are let through (more, and the attempt starts over).
+  // options.steps replaces the pattern's steps (scales use their own).
   class TriadSequenceSession {
     constructor(triad, options = {}) {
       this.triad = triad;
-      this.expected = triad.pitches();
+      this.pattern = options.pattern || AnswerPattern.ASCENDING;
+      this.steps = options.steps || patternSteps(triad.size, this.pattern);
+
+      const pitches = triad.pitches();
+      this.expected = this.steps.map((st) => pitches[st.tone]);
+      this.midis = options.midis
+        ? this.steps.map((st) => options.midis[st.tone] + 12 * st.octave)
+        : null;
+      this.anyOrder = this.pattern === AnswerPattern.ANY_ORDER;
 
       this.resetOnWrong = options.resetOnWrong != null ? options.resetOnWrong : true;
+      this.maxErrors = options.maxErrors != null ? options.maxErrors : DEFAULT_MAX_ERRORS;
+      this.failFast = options.failFast != null ? options.failFast : DEFAULT_STRICT_FAIL_FAST;
       this.dedupeMs = options.dedupeMs != null ? options.dedupeMs : 180;
       this.countNonChordTonesAsError =
         options.countNonChordTonesAsError != null ? options.countNonChordTonesAsError : true;
@@ -216,77 +506,108 @@
     }
 
     reset() {
-      this.index = 0;
       this.wrongCount = 0;
       this.done = false;
       this.success = false;
-
-      this._lastPc = null;
-      this._lastPcAt = 0;
+      this.restartAttempt();
       this._expectedSet = new Set(this.expected);
     }
 
+    restartAttempt() {
+      this.index = 0;
+      this.attemptErrors = 0;
+      this._open = this.steps.map((_, i) => i); // steps not yet played (any order)
+
+      this._lastHeard = null;
+      this._lastHeardAt = 0;
+    }
+
+    // Step index the heard note satisfies, or -1
+    _match(pc, midi) {
+      const candidates = this.anyOrder ? this._open : [this.index];
+      return candidates.find((i) => (this.midis ? midi === this.midis[i] : pc === this.expected[i])) ?? -1;
+    }
+
+    // What to play next (any order: the first step not yet played)
+    _next() {
+      if (this.done) return null;
+      return this.expected[this.anyOrder ? this._open[0] : this.index];
+    }
+
     acceptNote(noteOrFreq) {
       if (this.done) {
-        return this._payload("success", true, null, { heard: null, reset: false });
+        return this._payload("success", true, { heard: null });
       }
 
       const pc = toPitchClass(noteOrFreq);
       if (!pc) {
-        return this._payload("pending", false, this.expected[this.index], { heard: null, reset: false });
+        return this._payload("pending", false, { heard: null });
       }
 
+      const midi = this.midis ? toMidi(noteOrFreq) : null;
+      if (this.midis && midi == null) {
+        return this._payload("pending", false, { heard: pc, ignored: true });
+      }
+      const heardKey = this.midis ? midi : pc;
       const now = performance.now();
 
-      if (this._lastPc === pc && (now - this._lastPcAt) < this.dedupeMs) {
-        return this._payload("pending", false, this.expected[this.index], { heard: pc, ignored: true, reset: false });
+      if (this._lastHeard === heardKey && (now - this._lastHeardAt) < this.dedupeMs) {
+        return this._payload("pending", false, { heard: pc, ignored: true });
       }
 
-      this._lastPc = pc;
-      this._lastPcAt = now;
+      this._lastHeard = heardKey;
+      this._lastHeardAt = now;
 
-      const expectedNote = this.expected[this.index];
+      const expectedNote = this._next();
+      const hit = this._match(pc, midi);
 
-      if (pc === expectedNote) {
+      if (hit >= 0) {
+        this._open = this._open.filter((i) => i !== hit);
         this.index += 1;
 
         if (this.index >= this.expected.length) {
+          // Let-through mistakes still fail the attempt at the end
+          if (this.attemptErrors > this.maxErrors) return this._fail(pc, { tooManyErrors: true });
           this.done = true;
           this.success = true;
-          return this._payload("success", true, null, { heard: pc, reset: false });
+          return this._payload("success", true, { heard: pc });
         }
 
-        return this._payload("pending", true, this.expected[this.index], { heard: pc, reset: false });
+        return this._payload("pending", true, { heard: pc });
       }
 
-      const isChordTone = this._expectedSet.has(pc);
-
-      if (!this.countNonChordTonesAsError && !isChordTone) {
-        return this._payload("pending", false, expectedNote, { heard: pc, ignored: true, reset: false });
+      if (!this.countNonChordTonesAsError && !this._expectedSet.has(pc)) {
+        return this._payload("pending", false, { heard: pc, ignored: true });
       }
 
       this.wrongCount += 1;
+      this.attemptErrors += 1;
+      const octaveOff = pc === expectedNote;
 
-      if (this.resetOnWrong) {
-        this.index = 0;
-        this._lastPc = null;
-        this._lastPcAt = 0;
-        return this._payload("pending", false, this.expected[0], { heard: pc, reset: true });
+      if (this.resetOnWrong && (this.failFast || this.attemptErrors > this.maxErrors)) {
+        return this._fail(pc, { octaveOff });
       }
 
-      return this._payload("pending", false, expectedNote, { heard: pc, reset: false });
+      return this._payload("pending", false, { heard: pc, octaveOff, tolerated: true });
+    }
+
+    _fail(pc, extra) {
+      this.restartAttempt();
+      return this._payload("pending", false, { heard: pc, reset: true, ...extra });
     }
 
-    _payload(status, correct, expectedNote, extra = {}) {
+    _payload(status, correct, extra = {}) {
       const lights = TriadsProgress.lights(this.index, this.expected.length);
 
       return {
         status,
         correct,
         reset: !!extra.reset,            // ✅ always correct
-        expectedNote,
+        expectedNote: this._next(),
         matchedCount: this.index,
         wrongCount: this.wrongCount,
+        attemptErrors: this.attemptErrors,
+        maxErrors: this.maxErrors,
         expectedSequence: this.expected.slice(),
         lights,
         ...extra
@@ -300,29 +621,36 @@
       const {
         allowedRoots = NOTE_ORDER_SHARP.slice(),
         allowedQualities = [TriadQuality.MAJOR],
-        allowedInversions = [
-          TriadInversion.ROOT_POSITION,
-          TriadInversion.FIRST_INVERSION,
-          TriadInversion.SECOND_INVERSION
-        ]
+        // Inversions a chord doesn't have (3rd on a triad) are skipped
+        allowedInversions = Object.values(ChordInversion),
+        // Strings a prompt may start on (from the instrument profile)
+        possibleStrings = [6, 5, 4],
+        // { key, prefer } for how questions are written (see Chord)
+        spelling = {}
       } = options;
 
       this.allowedRoots = allowedRoots.map(normalizePitchClass);
       this.allowedQualities = allowedQualities.slice();
       this.allowedInversions = allowedInversions.slice();
+      this.possibleStrings = possibleStrings.slice();
+      this.spelling = { ...spelling };
     }
 
     randomTriad() {
-      const root = randomChoice(this.allowedRoots);
       const quality = randomChoice(this.allowedQualities);
-      const inversion = randomChoice(this.allowedInversions);
-      return new Triad(root, quality, inversion);
+      const { key, prefer = Spelling.AUTO } = this.spelling;
+      let root = randomChoice(this.allowedRoots);
+      if (!key && prefer === Spelling.AUTO) root = simplestRootName(root, quality);
+      const usable = this.allowedInversions.filter((inv) => inv < noteCount(quality));
+      const inversion = usable.length ? randomChoice(usable) : ChordInversion.ROOT_POSITION;
+      return new Triad(root, quality, inversion, this.spelling);
     }
 
     nextQuestion() {
       const triad = this.randomTriad();
-      const possibleStrings = [6, 5, 4];
-      const string = randomChoice(possibleStrings);
+      // One string per note, counting up towards string 1
+      const fits = this.possibleStrings.filter((s) => s - triad.size + 1 >= 1);
+      const string = randomChoice(fits.length ? fits : this.possibleStrings);
       return { triad, string };
     }
   }
@@ -334,14 +662,30 @@
   // ---------- Public API ----------
   window.Triads = {
     NOTE_ORDER_SHARP,
+    NOTE_ORDER_FLAT,
+    Spelling,
+    parseNote,
     normalizePitchClass,
+    transpose,
+    toMidi,
+    spellInterval,
+    spellPitchClass,
+    simplestRootName,
+    keyScale,
     toPitchClass,
     TriadQuality,
     TriadInversion,
+    ChordQuality,
+    ChordInversion,
+    Chord,
     Triad,
+    noteCount,
     TriadTrainer,
     DEFAULT_MAX_ERRORS,
+    AnswerPattern,
+    patternSteps,
     checkTriadAnswerOrdered,
+    checkStrummedTriad,
     TriadSequenceSession,
     TriadsProgress
   };
@@ -0,0 +1,73 @@
+// voicings.js
+// Concrete chord shapes. For a chord and a set of adjacent strings
+// (6-5-4, 5-4-3, 4-3-2, 3-2-1 on a guitar) the closed-position voicing
+// puts the inversion's bass on the lowest string and each next chord tone
+// on the next string up, as the nearest such note above the previous one.
+// Frets come from the active Fretboard tuning table, so capo, alternate
+// and custom tunings are covered.
+(function () {
+  // Widest fretted span (open strings aside) still counted as a shape
+  const MAX_STRETCH = 5;
+
+  // Adjacent string sets of the given size, lowest-pitched set first,
+  // each listed from its lowest-pitched string: [[6, 5, 4], [5, 4, 3], …]
+  function stringSets(size = 3) {
+    const strs = window.Fretboard.strings();
+    const sets = [];
+    for (let i = 0; i + size <= strs.length; i++) sets.push(strs.slice(i, i + size));
+    return sets;
+  }
+
+  // The set of `size` strings starting at lowString, or null
+  function stringSetFrom(lowString, size = 3) {
+    return stringSets(size).find((set) => set[0] === lowString) || null;
+  }
+
+  function describeStringSet(set) {
+    return set.join("-");
+  }
+
+  // All closed voicings of chord on the string set (one string per note,
+  // lowest string first), ordered by fret. Each voicing is
+  // { strings, notes: [{ string, fret, midi }], midis, minFret, maxFret }.
+  function voicingsFor(chord, set) {
+    if (!set || set.length !== chord.size) return [];
+    const capo = window.Fretboard.getCapo();
+    const lastFret = capo + window.Fretboard.getInstrument().maxFret;
+    const tuning = window.Fretboard.getTuning().strings;
+    const bassPc = chord.pitches()[0];
+
+    const out = [];
+    for (const bassFret of window.Fretboard.fretsForPitchClass(set[0], bassPc)) {
+      const midis = chord.midiNotes(tuning[set[0]] + bassFret);
+      const notes = midis.map((midi, i) => ({ string: set[i], fret: midi - tuning[set[i]], midi }));
+      if (notes.some((n) => n.fret < capo || n.fret > lastFret)) continue;
+
+      const fretted = notes.filter((n) => n.fret > capo).map((n) => n.fret);
+      const minFret = Math.min(...notes.map((n) => n.fret));
+      const maxFret = Math.max(...notes.map((n) => n.fret));
+      if (fretted.length && Math.max(...fretted) - Math.min(...fretted) > MAX_STRETCH) continue;
+
+      out.push({ strings: set.slice(), notes, midis, minFret, maxFret });
+    }
+    return out.sort((a, b) => a.minFret - b.minFret);
+  }
+
+  // The voicing closest to nearFret (e.g. the previous shape), or null
+  function voicingNear(chord, set, nearFret = window.Fretboard.getCapo()) {
+    let best = null;
+    for (const v of voicingsFor(chord, set)) {
+      if (!best || Math.abs(v.minFret - nearFret) < Math.abs(best.minFret - nearFret)) best = v;
+    }
+    return best;
+  }
+
+  window.Voicings = {
+    MAX_STRETCH,
+    stringSets,
+    stringSetFrom,
+    describeStringSet,
+    voicingsFor,
+    voicingNear
+  };
+})();